@@ -5,4 +5,34 @@ module.exports = {
     MANAGER: 'Connect Manager',
     COPILOT: 'Connect Copilot',
   },
+  TOPIC_STATUS: {
+    CLOSED: 'closed',
+    ARCHIVED: 'archived',
+  },
+  TOPIC_JOB_STATUS: {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+  },
+  NOTIFICATION_LEVEL: {
+    MUTED: 'muted',
+    REGULAR: 'regular',
+    TRACKING: 'tracking',
+    WATCHING: 'watching',
+  },
+  // notification levels in the order of their numeric value in Discourse
+  DISCOURSE_NOTIFICATION_LEVELS: ['muted', 'regular', 'tracking', 'watching'],
+  // formats of the bodies of posts: discourse raw markdown, cooked html, or plain text
+  POST_BODY_FORMAT: {
+    RAW: 'raw',
+    HTML: 'html',
+    TEXT: 'text',
+  },
+  REACTION: {
+    LIKE: 'like',
+  },
+  // the ids of the Discourse post action types backing each reaction
+  DISCOURSE_POST_ACTION_TYPES: {
+    like: 2,
+  },
 };
@@ -3,6 +3,7 @@ import _ from 'lodash';
 import Discourse from '../services/discourse';
 import HelperService from '../services/helper';
 import db from '../models';
+import { linksCondition } from '../routes/topics/util';
 
 // const Promise = require('bluebird');
 // const Discourse = require('../services/discourse');
@@ -19,14 +20,16 @@ module.exports = (logger, msg, channel) => {
     try {
       // check if user exists or create user in discourse
       yield util.getUserOrProvision(userId);
-      // now fetch all topics from db
+      // now fetch all topics linked to the project from db
+      const topicIdCondition = yield linksCondition(db, { referenceId: projectId, reference: 'project' });
       const topics = yield db.topics.findAll({
         where: {
-          referenceId: projectId,
-          reference: 'project',
+          id: topicIdCondition,
         },
         attributes: ['discourseTopicId'],
         raw: true,
+        // soft deleted topics are kept in sync too, as they can be restored
+        paranoid: false,
       });
 
       const topicPromises = _.map(topics, t => discourseClient.grantAccess(userId, t.discourseTopicId));
@@ -2,26 +2,50 @@ import Promise from 'bluebird';
 import _ from 'lodash';
 import db from '../models';
 import Discourse from '../services/discourse';
+import HelperService from '../services/helper';
+import { linksCondition } from '../routes/topics/util';
 
 
 module.exports = (logger, msg, channel) => {
   const discourseClient = new Discourse(logger);
+  const helper = new HelperService(logger, db, discourseClient);
   const member = JSON.parse(msg.content.toString());
   const userId = member.userId.toString();
   const projectId = member.projectId.toString();
 
+  /**
+   * Whether the user can still access the topic as a member of another entity it is linked to
+   * @param {Object} topic topic with its links
+   * @return {Promise} promise resolving true if the user should keep access to the topic
+   */
+  function isLinkedMember(topic) {
+    const otherLinks = _.reject(topic.links, { reference: 'project', referenceId: projectId });
+    return helper.getLinkedMembers(null, otherLinks)
+      .then(members => _.includes(members, userId));
+  }
+
   return Promise.coroutine(function* a() {
     let topics;
     try {
+      // all topics linked to the project are synced
+      const topicIdCondition = yield linksCondition(db, { referenceId: projectId, reference: 'project' });
       topics = yield db.topics.findAll({
         where: {
-          referenceId: member.projectId.toString(),
-          reference: 'project',
+          id: topicIdCondition,
         },
-        attributes: ['discourseTopicId'],
-        raw: true,
+        attributes: ['id', 'discourseTopicId'],
+        include: [{ model: db.topicLinks, as: 'links', attributes: ['reference', 'referenceId'] }],
+        // soft deleted topics are kept in sync too, as they can be restored
+        paranoid: false,
       });
-      const topicPromises = _.map(topics, t => discourseClient.removeAccess(userId, t.discourseTopicId));
+      // the user keeps access to the topics they can reach through the other entities they are linked to
+      const topicPromises = _.map(topics, t => isLinkedMember(t).then((keepAccess) => {
+        if (keepAccess) {
+          logger.info(`User ${userId} is a member of another entity linked to topic ${t.discourseTopicId}`);
+          return null;
+        }
+        return discourseClient.removeAccess(userId, t.discourseTopicId);
+      }));
       return Promise.all(topicPromises)
         .then(() => {
           logger.info(`Removed user ${userId} from all topics for project ${projectId}`);
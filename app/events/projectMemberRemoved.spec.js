@@ -6,6 +6,7 @@ const models = require('../models');
 const axios = require('axios');
 const sinon = require('sinon');
 const coreLib = require('tc-core-library-js');
+const util = require('../util');
 
 const removeMemberHandler = require('./projectMemberRemoved');
 
@@ -42,6 +43,7 @@ function clearDBPromise() {
   return models.sequelize.sync()
         .then(() => models.topics.truncate({
           cascade: true,
+          force: true,
           logging: false,
         }))
         .then(() => models.referenceLookups.truncate({
@@ -75,6 +77,11 @@ function prepareDB(done) {
           discourseTopicId: 1,
           tag: 'tag',
         }))
+        .then(() => models.topicLinks.create({
+          topicId: 1,
+          reference: 'project',
+          referenceId: '521',
+        }))
         .then(() => done());
 }
 
@@ -100,6 +107,25 @@ describe('Event: project.member.removed', () => {
     removeMemberHandler(logger, msg, channel);
   });
 
+  it('should keep the access of a user who is a member of another entity linked to the topic', (done) => {
+    sandbox.stub(util, 'getSystemUserToken').resolves('token');
+    sandbox.stub(axios, 'get').withArgs('http://reftest/600').resolves({
+      data: { result: { status: 200, content: { members: [{ userId: content.userId }] } } },
+    });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    const channel = {
+      ack: () => {
+        putStub.called.should.equal(false);
+        done();
+      },
+      nack: () => errorCheck(done),
+    };
+    Promise.all([
+      models.topicLinks.create({ topicId: 1, reference: 'project', referenceId: '600' }),
+      models.referenceLookups.create({ reference: 'project', endpoint: 'http://reftest/{id}' }),
+    ]).then(() => removeMemberHandler(logger, msg, channel)).catch(done);
+  });
+
   it('should nack when if discourse call fails', (done) => {
     sandbox.stub(axios, 'put').rejects({});
     const channel = {
@@ -0,0 +1,26 @@
+'user strict';
+
+/**
+ * Middleware responsible for rejecting requests on soft deleted topics, as if they did not exist.
+ * Topics are only visible again once they are restored by an admin.
+ */
+const errors = require('common-errors');
+
+/**
+ * Returns the middleware checking that the topic of the request is not soft deleted
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Function} express middleware
+ */
+module.exports = db => (req, resp, next) => {
+  // invalid topic ids are rejected by the route handlers
+  if (!/^\d+$/.test(req.params.topicId)) {
+    return next();
+  }
+  return db.topics.findOne({ where: { discourseTopicId: req.params.topicId }, paranoid: false })
+    .then((dbTopic) => {
+      if (dbTopic && dbTopic.deletedAt) {
+        return next(new errors.HttpStatusError(404, 'Topic does not exist'));
+      }
+      return next();
+    }, error => next(error));
+};
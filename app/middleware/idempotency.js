@@ -0,0 +1,81 @@
+'user strict';
+
+/**
+ * Middleware responsible for handling the Idempotency-Key header of create requests.
+ * The first request with a given key reserves it, repeated requests replay the
+ * response recorded for it once the first one has completed.
+ * Keys are bound to the method, path and body of the request that reserved them.
+ */
+const crypto = require('crypto');
+const config = require('config');
+const errors = require('common-errors');
+const util = require('tc-core-library-js').util(config);
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Computes the fingerprint of a request from its method, path and body
+ * @param {Object} req express request
+ * @return {String} fingerprint of the request
+ */
+function fingerprint(req) {
+  const bodyHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+  return `${req.method} ${req.originalUrl} ${bodyHash}`;
+}
+
+/**
+ * Returns the idempotency middleware for a kind of resource
+ * @param {Object} db sequelize db with all models loaded
+ * @param {String} resource kind of resource created by the route, such as topic or post
+ * @return {Function} express middleware
+ */
+module.exports = (db, resource) => (req1, resp, next) => {
+  const req = req1;
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(new errors.HttpStatusError(400, `Idempotency-Key must not exceed ${MAX_KEY_LENGTH} characters`));
+  }
+
+  const requestFingerprint = fingerprint(req);
+  return db.idempotencyKeys.findOrCreate({
+    where: { userId: req.authUser.userId.toString(), key },
+    defaults: { resource, fingerprint: requestFingerprint },
+  })
+  .spread((record, created) => {
+    if (created) {
+      req.idempotencyKey = record;
+      // release the key if the request fails or the connection is closed before it completes,
+      // so that the client can retry with it
+      const release = () => db.idempotencyKeys.destroy({ where: { id: record.id, resourceId: null } })
+        .catch(error => req.log.error('Failed to release Idempotency-Key', error));
+      resp.on('finish', () => {
+        if (resp.statusCode >= 400) {
+          release();
+        }
+      });
+      resp.on('close', () => {
+        if (!resp.finished) {
+          release();
+        }
+      });
+      return next();
+    }
+    if (record.resource !== resource || record.fingerprint !== requestFingerprint) {
+      throw new errors.HttpStatusError(422, 'Idempotency-Key was already used for a different request');
+    }
+    if (!record.resourceId) {
+      throw new errors.HttpStatusError(409, 'A request with the same Idempotency-Key is still being processed');
+    }
+    req.log.info(`Replaying response of ${resource} ${record.resourceId} for Idempotency-Key ${key}`);
+    if (record.statusCode === 202) {
+      // asynchronous creations are replayed with the current state of their job
+      return db.topicJobs.findOne({ where: { id: record.resourceId }, raw: true })
+        .then(job => resp.status(202).send(util.wrapResponse(req.id, job, null, 202)));
+    }
+    return resp.status(record.statusCode).send(util.wrapResponse(req.id, record.response));
+  })
+  .catch(error => next(error));
+};
@@ -0,0 +1,72 @@
+'user strict';
+
+/**
+ * Middleware parsing the file of multipart upload requests into req.file, kept in memory as it is
+ * proxied to Discourse. The size and the content type of the files are limited by the attachments config.
+ * As the content type is given by the client, the extension and the content of the file must match it too.
+ */
+const _ = require('lodash');
+const path = require('path');
+const config = require('config');
+const errors = require('common-errors');
+const multer = require('multer');
+
+// the extensions and the leading bytes of the files of each content type, text files have no signature
+const FILE_TYPES = {
+  'image/png': { extensions: ['png'], signature: [0x89, 0x50, 0x4E, 0x47] },
+  'image/jpeg': { extensions: ['jpg', 'jpeg'], signature: [0xFF, 0xD8, 0xFF] },
+  'image/gif': { extensions: ['gif'], signature: [0x47, 0x49, 0x46, 0x38] },
+  'application/pdf': { extensions: ['pdf'], signature: [0x25, 0x50, 0x44, 0x46] },
+  'application/zip': { extensions: ['zip'], signature: [0x50, 0x4B] },
+  'text/plain': { extensions: ['txt', 'log', 'csv', 'md'] },
+};
+
+/**
+ * Checks that the content of the file matches its content type
+ * @param {Object} file file parsed by multer
+ * @return {Boolean} true if the content matches
+ */
+function contentMatches(file) {
+  const signature = FILE_TYPES[file.mimetype].signature;
+  if (!signature) {
+    // text files must not hold binary content
+    return file.buffer.indexOf(0) === -1;
+  }
+  return _.every(signature, (byte, index) => file.buffer[index] === byte);
+}
+
+/**
+ * Returns the upload middleware for a single file
+ * @param {String} field name of the multipart field holding the file
+ * @return {Function} express middleware
+ */
+module.exports = (field) => {
+  const maxFileSize = parseInt(config.get('attachments.maxFileSize'), 10);
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).slice(1).toLowerCase();
+      if (!_.includes(config.get('attachments.allowedContentTypes'), file.mimetype) || !FILE_TYPES[file.mimetype]) {
+        return cb(new errors.HttpStatusError(415, `File type ${file.mimetype} is not allowed`));
+      }
+      if (!_.includes(FILE_TYPES[file.mimetype].extensions, extension)) {
+        return cb(new errors.HttpStatusError(415, `File extension ${extension} does not match type ${file.mimetype}`));
+      }
+      return cb(null, true);
+    },
+  }).single(field);
+
+  return (req, resp, next) => upload(req, resp, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return next(new errors.HttpStatusError(413, `File must not exceed ${maxFileSize} bytes`));
+    }
+    if (error && !(error instanceof errors.HttpStatusError)) {
+      return next(new errors.HttpStatusError(400, error.message));
+    }
+    if (!error && req.file && !contentMatches(req.file)) {
+      return next(new errors.HttpStatusError(415, `File content does not match type ${req.file.mimetype}`));
+    }
+    return next(error);
+  });
+};
@@ -0,0 +1,74 @@
+'user strict';
+
+/**
+ * Represents a file uploaded to Discourse for a topic, to be attached to one of its posts
+ * @param  {Object} Sequelize sequelize object
+ * @param  {Object} DataTypes sequelize data types
+ * @return {void}
+ */
+module.exports = (Sequelize, DataTypes) => {
+  const Attachment = Sequelize.define('attachments', {
+        // The primary key
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+        // The db id of the topic the file was uploaded for
+    topicId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'topics',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+        // The id of the Discourse post the file is attached to, null until it is attached
+    postId: {
+      type: DataTypes.BIGINT,
+    },
+        // The id of the upload in Discourse
+    discourseUploadId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+    },
+        // The url of the file in Discourse
+    url: {
+      type: DataTypes.STRING(1024),
+      allowNull: false,
+    },
+        // The original name of the file
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The size of the file in bytes
+    fileSize: {
+      type: DataTypes.INTEGER,
+    },
+        // The mime type of the file
+    contentType: {
+      type: DataTypes.STRING,
+    },
+        // When was this record created
+    createdAt: {
+      type: DataTypes.DATE,
+    },
+        // Who uploaded the file
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // When was this record last updated
+    updatedAt: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    indexes: [
+      { fields: ['postId'] },
+    ],
+  });
+
+  return Attachment;
+};
@@ -0,0 +1,64 @@
+'user strict';
+
+/**
+ * Represents a client supplied Idempotency-Key together with the response of the request that used it
+ * @param  {Object} Sequelize sequelize object
+ * @param  {Object} DataTypes sequelize data types
+ * @return {void}
+ */
+module.exports = (Sequelize, DataTypes) => {
+  const IdempotencyKey = Sequelize.define('idempotencyKeys', {
+        // The primary key
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+        // The key sent by the client in the Idempotency-Key header
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The user who sent the request, keys are scoped per user
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The kind of resource created by the request, such as topic or post
+    resource: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The method, path and body hash of the request that reserved the key
+    fingerprint: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The id of the created resource (the topic job for asynchronous topic creation), null while processing
+    resourceId: {
+      type: DataTypes.BIGINT,
+    },
+        // The status code of the response, asynchronous creations are replayed with the current state of their job
+    statusCode: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 200,
+    },
+        // The response content that is replayed for repeated requests
+    response: {
+      type: DataTypes.JSON,
+    },
+        // When was this record created
+    createdAt: {
+      type: DataTypes.DATE,
+    },
+        // When was this record last updated
+    updatedAt: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    indexes: [{ unique: true, fields: ['userId', 'key'] }],
+  });
+
+  return IdempotencyKey;
+};
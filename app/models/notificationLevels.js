@@ -0,0 +1,54 @@
+'user strict';
+
+/**
+ * Represents the notification level a user chose for a topic, or by default for the topics of a reference
+ * @param  {Object} Sequelize sequelize object
+ * @param  {Object} DataTypes sequelize data types
+ * @return {void}
+ */
+module.exports = (Sequelize, DataTypes) => {
+  const NotificationLevel = Sequelize.define('notificationLevels', {
+        // The primary key
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+        // The user who chose the level
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The name of the reference, such as challenge, project, or submission
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The identfier of the reference
+    referenceId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The db id of the topic, null for the default level of the topics of the reference
+    topicId: {
+      type: DataTypes.BIGINT,
+    },
+        // The notification level, one of NOTIFICATION_LEVEL
+    level: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // When was this record created
+    createdAt: {
+      type: DataTypes.DATE,
+    },
+        // When was this record last updated
+    updatedAt: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    indexes: [{ fields: ['reference', 'referenceId', 'userId'] }, { unique: true, fields: ['userId', 'topicId'] }],
+  });
+
+  return NotificationLevel;
+};
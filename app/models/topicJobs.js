@@ -0,0 +1,55 @@
+'user strict';
+
+/**
+ * Represents the creation of a topic running in the background
+ * @param  {Object} Sequelize sequelize object
+ * @param  {Object} DataTypes sequelize data types
+ * @return {void}
+ */
+module.exports = (Sequelize, DataTypes) => {
+  const TopicJob = Sequelize.define('topicJobs', {
+        // The primary key
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+        // The status of the job: pending, succeeded or failed
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The name of the reference of the topic being created
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The identfier of the reference of the topic being created
+    referenceId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The created topic, once the job succeeded
+    topic: {
+      type: DataTypes.JSON,
+    },
+        // The error message, if the job failed
+    error: {
+      type: DataTypes.TEXT,
+    },
+        // When was this record created
+    createdAt: {
+      type: DataTypes.DATE,
+    },
+        // Who created this record
+    createdBy: {
+      type: DataTypes.STRING,
+    },
+        // When was this record last updated
+    updatedAt: {
+      type: DataTypes.DATE,
+    },
+  });
+
+  return TopicJob;
+};
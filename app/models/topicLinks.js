@@ -0,0 +1,58 @@
+'user strict';
+
+/**
+ * Represents a link between a topic and one of the topcoder entities it belongs to.
+ * Every topic is linked to its own reference, and may be linked to other ones
+ * @param  {Object} Sequelize sequelize object
+ * @param  {Object} DataTypes sequelize data types
+ * @return {void}
+ */
+module.exports = (Sequelize, DataTypes) => {
+  const TopicLink = Sequelize.define('topicLinks', {
+        // The primary key
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+        // The db id of the topic
+    topicId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'topics',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+        // The name of the reference, such as challenge, project, or submission
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The identfier of the reference
+    referenceId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // When was this record created
+    createdAt: {
+      type: DataTypes.DATE,
+    },
+        // Who created this record
+    createdBy: {
+      type: DataTypes.STRING,
+    },
+        // When was this record last updated
+    updatedAt: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    indexes: [
+      { unique: true, fields: ['topicId', 'reference', 'referenceId'] },
+      { fields: ['reference', 'referenceId'] },
+    ],
+  });
+
+  return TopicLink;
+};
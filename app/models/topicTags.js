@@ -0,0 +1,45 @@
+'user strict';
+
+/**
+ * Represents one of the tags of a topic
+ * @param  {Object} Sequelize sequelize object
+ * @param  {Object} DataTypes sequelize data types
+ * @return {void}
+ */
+module.exports = (Sequelize, DataTypes) => {
+  const TopicTag = Sequelize.define('topicTags', {
+        // The primary key
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+        // The db id of the topic
+    topicId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'topics',
+        key: 'id',
+      },
+      onDelete: 'CASCADE',
+    },
+        // The tag, such as PRIMARY or MESSAGES
+    tag: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // When was this record created
+    createdAt: {
+      type: DataTypes.DATE,
+    },
+        // When was this record last updated
+    updatedAt: {
+      type: DataTypes.DATE,
+    },
+  }, {
+    indexes: [{ unique: true, fields: ['topicId', 'tag'] }, { fields: ['tag'] }],
+  });
+
+  return TopicTag;
+};
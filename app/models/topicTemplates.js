@@ -0,0 +1,58 @@
+'user strict';
+
+/**
+ * Represents a template of the topics created for a reference and tag, such as the kickoff thread of projects
+ * @param  {Object} Sequelize sequelize object
+ * @param  {Object} DataTypes sequelize data types
+ * @return {void}
+ */
+module.exports = (Sequelize, DataTypes) => {
+  const TopicTemplate = Sequelize.define('topicTemplates', {
+        // The primary key
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+        // The name of the reference, such as challenge, project, or submission
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The tag of the topics created from the template
+    tag: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The title of the topic, may contain {{placeholders}} of the reference entity
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+        // The body of the first post of the topic, may contain {{placeholders}} of the reference entity
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+        // When was this record created
+    createdAt: {
+      type: DataTypes.DATE,
+    },
+        // Who created this record
+    createdBy: {
+      type: DataTypes.STRING,
+    },
+        // When was this record last updated
+    updatedAt: {
+      type: DataTypes.DATE,
+    },
+        // Who last updated this record
+    updatedBy: {
+      type: DataTypes.STRING,
+    },
+  }, {
+    indexes: [{ unique: true, fields: ['reference', 'tag'] }],
+  });
+
+  return TopicTemplate;
+};
@@ -20,7 +20,8 @@ module.exports = (Sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true,
     },
-        // The name of the reference, such as challenge, project, or submission
+        // The name of the reference, such as challenge, project, or submission. The topic may be linked to
+        // other references in topicLinks
     reference: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -36,9 +37,41 @@ module.exports = (Sequelize, DataTypes) => {
       allowNull: false,
       unique: true,
     },
-        // A tag for filtering
+        // The primary tag, the first of the tags of the topic which are stored in topicTags
     tag: {
       type: DataTypes.STRING,
+    },
+        // Arbitrary key/value pairs describing the topic, e.g. the phase or milestone it is about
+    metadata: {
+      type: DataTypes.JSON,
+    },
+        // Whether the topic is a public Discourse topic instead of a private message
+    isPublic: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+        // Whether the topic is closed, no new posts can be created
+    closed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+        // Whether the topic is archived, the topic is read-only
+    archived: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+        // Whether the topic is pinned on top of the topics of its reference
+    pinned: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+        // Position of a pinned topic among the pinned topics of its reference, lower first
+    sortOrder: {
+      type: DataTypes.INTEGER,
     },
         // When was this record created
     createdAt: {
@@ -55,6 +88,23 @@ module.exports = (Sequelize, DataTypes) => {
         // Who last updated this record
     updatedBy: {
       type: DataTypes.STRING,
+    },
+        // When was this record soft deleted
+    deletedAt: {
+      type: DataTypes.DATE,
+    },
+        // Who soft deleted this record
+    deletedBy: {
+      type: DataTypes.STRING,
+    },
+  }, {
+        // destroy only sets deletedAt unless forced, and deleted records are excluded from queries
+    paranoid: true,
+    classMethods: {
+      associate: (models) => {
+        Topic.hasMany(models.topicTags, { as: 'tags', foreignKey: 'topicId' });
+        Topic.hasMany(models.topicLinks, { as: 'links', foreignKey: 'topicId' });
+      },
     },
   });
 
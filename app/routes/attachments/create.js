@@ -0,0 +1,84 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+import HelperService from '../../services/helper';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Uploads an attachment for the posts of a topic
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Proxies the uploaded file to Discourse, and records it so that it can be attached to a new post:
+   *  - The file is parsed by the upload middleware, which enforces the size and content type limits
+   *  - Verifies the user can post in the topic: participants of private topics, or the users allowed
+   *    to write in public topics
+   *  - Returns the attachment, whose id can be given in the attachmentIds of a new post
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const helper = HelperService(logger, db);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+    });
+    if (!req.file) {
+      return next(new errors.HttpStatusError(400, 'A file is required'));
+    }
+    const topicId = req.params.topicId;
+    const userId = req.authUser.userId.toString();
+
+    let dbTopic;
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((topic) => {
+        dbTopic = topic;
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        if (dbTopic.isPublic) {
+          return helper.userCanWriteToPublicTopics(req.authToken, req.id, req.authUser,
+            dbTopic.reference, dbTopic.referenceId)
+            .then((canWrite) => {
+              if (!canWrite) {
+                throw new errors.HttpStatusError(403, 'User can\'t post in the public topics of the entity');
+              }
+              return helper.getUserOrProvision(userId);
+            });
+        }
+        // only participants of private topics can post in them
+        return discourseClient.getTopic(topicId, userId)
+          .catch((error) => {
+            logger.error(error);
+            throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+          });
+      })
+      .then(() => discourseClient.uploadFile(userId, req.file))
+      .then((upload) => {
+        logger.info(`File uploaded to discourse: ${upload.id}`);
+        return db.attachments.create({
+          topicId: dbTopic.id,
+          discourseUploadId: upload.id,
+          url: upload.url,
+          fileName: req.file.originalname,
+          fileSize: req.file.size,
+          contentType: req.file.mimetype,
+          createdBy: userId,
+        });
+      })
+      .then(attachment => resp.status(200).send(util.wrapResponse(req.id,
+        _.pick(attachment.get({ plain: true }), ['id', 'url', 'fileName', 'fileSize', 'contentType']))))
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500, 'Error uploading attachment'));
+      });
+  };
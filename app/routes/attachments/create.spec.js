@@ -0,0 +1,152 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+const request = require('supertest');
+const server = require('../../app');
+const axios = require('axios');
+const sinon = require('sinon');
+const models = require('../../models');
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/attachments ', () => {
+  const apiPath = '/v4/topics/1/attachments';
+  const upload = { id: 5, url: '/uploads/default/original/1X/abc.png' };
+  // the content of png files starts with their signature
+  const image = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D]);
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .attach('file', image, 'image.png')
+      .expect(403, done);
+  });
+
+  it('should return 400 response without a file', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .field('name', 'value')
+      .expect(400, done);
+  });
+
+  it('should return 415 response with a file type that is not allowed', (done) => {
+    const postStub = sandbox.stub(axios, 'post');
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .attach('file', Buffer.from('script'), 'script.sh')
+      .expect(415)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.not.be.called();
+        return done();
+      });
+  });
+
+  it('should return 415 response with a file extension that does not match its type', (done) => {
+    const postStub = sandbox.stub(axios, 'post');
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .attach('file', Buffer.from('setting'), 'settings.conf')
+      .expect(415)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.not.be.called();
+        return done();
+      });
+  });
+
+  it('should return 415 response with a file content that does not match its type', (done) => {
+    const postStub = sandbox.stub(axios, 'post');
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .attach('file', Buffer.from('<script>alert(1)</script>'), 'image.png')
+      .expect(415)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.not.be.called();
+        return done();
+      });
+  });
+
+  it('should return 404 response if the topic does not exist', (done) => {
+    request(server)
+      .post('/v4/topics/100/attachments')
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .attach('file', image, 'image.png')
+      .expect(404, done);
+  });
+
+  it('should return 403 response if the user doesn\'t have access to the topic', (done) => {
+    sandbox.stub(axios, 'get').rejects({ response: { status: 403 } });
+    const postStub = sandbox.stub(axios, 'post');
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .attach('file', image, 'image.png')
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.not.be.called();
+        return done();
+      });
+  });
+
+  it('should upload the file to discourse and return the attachment', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { id: 1 } });
+    const postStub = sandbox.stub(axios, 'post').resolves({ data: upload });
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .attach('file', image, 'image.png')
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.be.calledWith('/uploads.json', sinon.match.any,
+          sinon.match({ params: { api_username: '40051331' } }));
+        res.body.result.content.should.containDeep({
+          url: upload.url,
+          fileName: 'image.png',
+          fileSize: 5,
+          contentType: 'image/png',
+        });
+        return models.attachments.findById(res.body.result.content.id).then((attachment) => {
+          attachment.should.containDeep({ topicId: '1', discourseUploadId: '5', createdBy: '40051331' });
+          (attachment.postId === null).should.be.true;
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should return the error status of discourse', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { id: 1 } });
+    sandbox.stub(axios, 'post').rejects({ response: { status: 422 } });
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .attach('file', image, 'image.png')
+      .expect(422, done);
+  });
+});
@@ -10,14 +10,41 @@ const topicListHandler = require('./topics/list');
 const topicCreateHandler = require('./topics/create');
 const topicUpdateHandler = require('./topics/update');
 const topicDeleteHandler = require('./topics/delete');
+const topicStatusHandler = require('./topics/status');
+const topicPinHandler = require('./topics/pin');
+const topicMoveHandler = require('./topics/move');
+const topicRestoreHandler = require('./topics/restore');
+const topicUnreadCountsHandler = require('./topics/unreadCounts');
+const topicReadHandler = require('./topics/read');
+const searchHandler = require('./search/get');
+const topicPatchHandler = require('./topics/patch');
+const topicNotificationLevelHandler = require('./topics/notificationLevel');
+const updateNotificationLevelHandler = require('./notificationLevels/update');
+const listParticipantsHandler = require('./participants/list');
+const createParticipantHandler = require('./participants/create');
+const deleteParticipantHandler = require('./participants/delete');
+const createLinkHandler = require('./links/create');
+const deleteLinkHandler = require('./links/delete');
+const getTopicJobHandler = require('./topicJobs/get');
+const listTopicTemplatesHandler = require('./topicTemplates/list');
+const createTopicTemplateHandler = require('./topicTemplates/create');
+const updateTopicTemplateHandler = require('./topicTemplates/update');
+const deleteTopicTemplateHandler = require('./topicTemplates/delete');
 
 const createPostHandler = require('./posts/create');
 const getPostsHandler = require('./posts/get');
 const updatePostHandler = require('./posts/update');
 const deletePostHandler = require('./posts/delete');
+const postReactionsHandler = require('./posts/reactions');
+const postRevisionsHandler = require('./posts/revisions');
+const createAttachmentHandler = require('./attachments/create');
 const systemUserFilter = require('../middleware/system-user-filter.js');
+const idempotency = require('../middleware/idempotency');
+const upload = require('../middleware/upload');
+const activeTopic = require('../middleware/active-topic');
 
 const jwt = require('jsonwebtoken');
+const { TOPIC_STATUS } = require('../constants');
 
 /**
  * Loads and configures all sub routes of this api
@@ -50,7 +77,10 @@ module.exports = (logger, db) => {
 
   // all project service endpoints need authentication
   const jwtAuth = tcCoreLib.middleware.jwtAuthenticator;
-  router.all('/v4/topics*', (req, res, next) => {
+  const authenticatedPaths = [
+    '/v4/topics*', '/v4/topic-jobs*', '/v4/topic-templates*', '/v4/search*', '/v4/notification-levels*',
+  ];
+  router.all(authenticatedPaths, (req, res, next) => {
     if (`${process.env.TC_MESSAGE_SERVICE_AUTH_LOOSE}` !== 'true') {
       jwtAuth()(req, res, next);
       return;
@@ -86,26 +116,87 @@ module.exports = (logger, db) => {
   router.use(systemUserFilter(logger));
 
   // Register all the routes
+  // registered before /v4/topics/:topicId, which would match it otherwise
+  router.route('/v4/topics/unread-counts')
+    .get(topicUnreadCountsHandler(db));
   router.route('/v4/topics/:topicId')
     .get(getTopicHandler(db))
+    .patch(activeTopic(db), topicPatchHandler(db))
     .delete(topicDeleteHandler(db));
   router.route('/v4/topics/:topicId/edit')
-    .post(topicUpdateHandler(db));
+    .post(activeTopic(db), topicUpdateHandler(db));
+  router.route('/v4/topics/:topicId/close')
+    .post(activeTopic(db), topicStatusHandler(db, TOPIC_STATUS.CLOSED, true));
+  router.route('/v4/topics/:topicId/reopen')
+    .post(activeTopic(db), topicStatusHandler(db, TOPIC_STATUS.CLOSED, false));
+  router.route('/v4/topics/:topicId/archive')
+    .post(activeTopic(db), topicStatusHandler(db, TOPIC_STATUS.ARCHIVED, true));
+  router.route('/v4/topics/:topicId/unarchive')
+    .post(activeTopic(db), topicStatusHandler(db, TOPIC_STATUS.ARCHIVED, false));
+  router.route('/v4/topics/:topicId/pin')
+    .post(activeTopic(db), topicPinHandler(db, true));
+  router.route('/v4/topics/:topicId/unpin')
+    .post(activeTopic(db), topicPinHandler(db, false));
+  router.route('/v4/topics/:topicId/move')
+    .post(activeTopic(db), topicMoveHandler(db));
+  router.route('/v4/topics/:topicId/restore')
+    .post(topicRestoreHandler(db));
+  router.route('/v4/topics/:topicId/read')
+    .post(activeTopic(db), topicReadHandler(db, true));
+  router.route('/v4/topics/:topicId/unread')
+    .post(activeTopic(db), topicReadHandler(db, false));
+  router.route('/v4/topics/:topicId/notification-level')
+    .put(activeTopic(db), topicNotificationLevelHandler(db));
+  router.route('/v4/topics/:topicId/participants')
+    .get(activeTopic(db), listParticipantsHandler(db))
+    .post(activeTopic(db), createParticipantHandler(db));
+  router.route('/v4/topics/:topicId/participants/:userId')
+    .delete(activeTopic(db), deleteParticipantHandler(db));
+  router.route('/v4/topics/:topicId/links')
+    .post(activeTopic(db), createLinkHandler(db));
+  router.route('/v4/topics/:topicId/links/:reference/:referenceId')
+    .delete(activeTopic(db), deleteLinkHandler(db));
 
   router.route('/v4/topics')
-    .post(topicCreateHandler(db))
+    .post(idempotency(db, 'topic'), topicCreateHandler(db))
     .get(topicListHandler(db));
 
+  router.route('/v4/topic-jobs/:jobId')
+    .get(getTopicJobHandler(db));
+
+  router.route('/v4/topic-templates')
+    .get(listTopicTemplatesHandler(db))
+    .post(createTopicTemplateHandler(db));
+  router.route('/v4/topic-templates/:templateId')
+    .patch(updateTopicTemplateHandler(db))
+    .delete(deleteTopicTemplateHandler(db));
+
+  router.route('/v4/search')
+    .get(searchHandler(db));
+
+  router.route('/v4/notification-levels')
+    .put(updateNotificationLevelHandler(db));
+
 
   router.route('/v4/topics/:topicId/posts')
-    .post(createPostHandler(db))
-    .get(getPostsHandler(db));
+    .post(activeTopic(db), idempotency(db, 'post'), createPostHandler(db))
+    .get(activeTopic(db), getPostsHandler(db));
+
+  router.route('/v4/topics/:topicId/attachments')
+    .post(activeTopic(db), upload('file'), createAttachmentHandler(db));
 
   router.route('/v4/topics/:topicId/posts/:postId')
-    .delete(deletePostHandler(db));
+    .delete(activeTopic(db), deletePostHandler(db));
 
   router.route('/v4/topics/:topicId/posts/:postId/edit')
-    .post(updatePostHandler(db));
+    .post(activeTopic(db), updatePostHandler(db));
+
+  router.route('/v4/topics/:topicId/posts/:postId/reactions')
+    .post(activeTopic(db), postReactionsHandler(db, true))
+    .delete(activeTopic(db), postReactionsHandler(db, false));
+
+  router.route('/v4/topics/:topicId/posts/:postId/revisions')
+    .get(activeTopic(db), postRevisionsHandler(db));
 
   // register error handler
   router.use((err, req, res, next) => { // eslint-disable-line
@@ -0,0 +1,106 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+import Promise from 'bluebird';
+
+import Discourse from '../../services/discourse';
+import HelperService from '../../services/helper';
+import notificationLevels from '../../services/notificationLevels';
+import { addLinks, retrieveTopic, isPrivileged } from '../topics/util';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Links a topic to another reference entity
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Adds a link between the topic and the entity given in the body:
+   *  - Only the creator of the topic, admins, managers and copilots can link topics
+   *  - Verifies the user has access to the topic and to the entity (userHasAccessToEntity function),
+   *    if not returns 403
+   *  - Returns 409 if the topic is already linked to the entity
+   *  - If the entity has members (e.g. projects), grants them access to the private topic,
+   *    provisioning them in Discourse if needed
+   *  - Applies the default notification levels users chose for the entity
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const helper = HelperService(logger, db);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+    });
+    const params = Joi.attempt(req.body, {
+      reference: Joi.string().required(),
+      referenceId: Joi.string().required(),
+    });
+    const topicId = req.params.topicId;
+    const userId = req.authUser.userId.toString();
+
+    /**
+     * Grants access to the topic to the members of the entity who aren't participants yet
+     * @param {Object} topic discourse topic
+     * @param {Array} members members of the entity
+     * @return {Promise} promise
+     */
+    function addParticipants(topic, members) {
+      const participants = _.map(_.get(topic, 'details.allowed_users', []), 'username');
+      const usersToAdd = _.difference(_.map(members, member => member.userId.toString()), participants);
+      logger.debug('Users to add to topic: ', usersToAdd);
+      return Promise.all(_.map(usersToAdd, memberId => helper.getUserOrProvision(memberId)
+        .then(() => discourseClient.grantAccess(memberId, topicId))));
+    }
+
+    let dbTopic;
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((topic) => {
+        dbTopic = topic;
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        if (dbTopic.createdBy !== userId && !isPrivileged(req.authUser)) {
+          throw new errors.HttpStatusError(403, 'User is not allowed to link the topic');
+        }
+        return Promise.all([
+          retrieveTopic(logger, dbTopic, req.authUser, discourseClient),
+          helper.userHasAccessToEntity(req.authToken, req.id, params.reference, params.referenceId),
+        ]);
+      })
+      .then(([{ topic }, hasAccessResp]) => {
+        if (!topic) {
+          throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+        }
+        if (!hasAccessResp[0]) {
+          throw new errors.HttpStatusError(403, 'User doesn\'t have access to the entity');
+        }
+        return addLinks(db, dbTopic, [params], userId)
+          .then((newLinks) => {
+            if (newLinks.length === 0) {
+              throw new errors.HttpStatusError(409, 'Topic is already linked to the entity');
+            }
+            const members = _.get(hasAccessResp[1], 'members');
+            // anyone can read public topics, their participants are not synced
+            if (dbTopic.isPublic || !members) {
+              return null;
+            }
+            return addParticipants(topic, members);
+          });
+      })
+      .then(() => notificationLevels.applyReferenceDefaults(logger, db, discourseClient, dbTopic))
+      .then(() => {
+        logger.info(`Topic ${topicId} linked to ${params.reference} ${params.referenceId}`);
+        resp.status(200).send(util.wrapResponse(req.id, params));
+      })
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500, 'Error linking topic'));
+      });
+  };
@@ -0,0 +1,196 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/links', () => {
+  const apiPath = '/v4/topics/1/links';
+  const testBody = {
+    reference: 'reference',
+    referenceId: 'other',
+  };
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not the creator of the topic, a manager, copilot or admin', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 400 response without referenceId', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ reference: 'reference' })
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .post('/v4/topics/1000/links')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send(testBody)
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not have access to the entity', (done) => {
+    sandbox.stub(axios, 'get').rejects({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user does not have access to the topic', (done) => {
+    const getStub = sandbox.stub(axios, 'get');
+    getStub.withArgs('/t/1.json').rejects({});
+    getStub.resolves({ data: { result: { status: 200, content: {} } } });
+    models.topics.update({ createdBy: '40051331' }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+          })
+          .send(testBody)
+          .expect(403)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return models.topicLinks.count({ where: { topicId: 1 } })
+              .then((count) => {
+                count.should.equal(1);
+                done();
+              })
+              .catch(done);
+          });
+      })
+      .catch(done);
+  });
+
+  it('should return 409 response if the topic is already linked to the entity', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ reference: 'reference', referenceId: 'referenceId' })
+      .expect(409, done);
+  });
+
+  it('should return 200 response and link the topic for the creator of the topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+    models.topics.update({ createdBy: '40051331' }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+          })
+          .send(testBody)
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            res.body.result.content.should.deepEqual(testBody);
+            return models.topicLinks.findAll({ where: { topicId: 1 }, order: [['id', 'ASC']], raw: true })
+              .then((links) => {
+                links.map(link => link.referenceId).should.deepEqual(['referenceId', 'other']);
+                links[1].createdBy.should.equal('40051331');
+                done();
+              })
+              .catch(done);
+          });
+      });
+  });
+
+  it('should grant access to the topic to the members of the entity who are not participants', (done) => {
+    const getStub = sandbox.stub(axios, 'get');
+    // the endpoint of the reference lookup fixture is 'http://reftest/${id}', only {id} is replaced
+    getStub.withArgs('http://reftest/$other').resolves({
+      data: { result: { status: 200, content: { members: [{ userId: 40152934 }, { userId: 40051331 }] } } },
+    });
+    getStub.withArgs('/t/1.json').resolves({ data: topicJson });
+    getStub.resolves({ data: {} });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send(testBody)
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.be.calledWith('/t/1/invite', { user: '40051331' });
+        postStub.should.not.be.calledWith('/t/1/invite', { user: '40152934' });
+        return done();
+      });
+  });
+
+  it('should apply the default notification levels of the entity', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    const defaultLevel = { userId: '40051331', reference: 'reference', referenceId: 'other', level: 'muted' };
+    models.notificationLevels.create(defaultLevel)
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .send(testBody)
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            postStub.should.be.calledWith('/t/1/notifications', { notification_level: 0 },
+              { params: { api_username: '40051331' } });
+            return done();
+          });
+      })
+      .catch(done);
+  });
+});
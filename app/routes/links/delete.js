@@ -0,0 +1,104 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+import Promise from 'bluebird';
+
+import Discourse from '../../services/discourse';
+import HelperService from '../../services/helper';
+import { retrieveTopic, isPrivileged } from '../topics/util';
+
+const util = require('tc-core-library-js').util(config);
+
+const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
+
+/**
+ * Unlinks a topic from a reference entity
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Removes the link between the topic and the entity given in the path:
+   *  - Only the creator of the topic, admins, managers and copilots can unlink topics
+   *  - Verifies the user has access to the topic, if not returns 403
+   *  - The topic can't be unlinked from its own reference, it should be moved instead (422)
+   *  - Removes the access to the private topic of the members of the entity, unless they are members of
+   *    the other entities the topic is linked to, or its creator
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const helper = HelperService(logger, db);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+      reference: Joi.string().required(),
+      referenceId: Joi.string().required(),
+    });
+    const topicId = req.params.topicId;
+    const reference = req.params.reference;
+    const referenceId = req.params.referenceId;
+
+    /**
+     * Removes the access to the topic of the members of the unlinked entity who can't reach it through
+     * the other entities it is linked to
+     * @param {Object} dbTopic topic from Postgres
+     * @param {Object} topic discourse topic
+     * @return {Promise} promise
+     */
+    function removeParticipants(dbTopic, topic) {
+      return Promise.all([
+        helper.getLinkedMembers(req.id, [{ reference, referenceId }]),
+        db.topicLinks.findAll({ where: { topicId: dbTopic.id }, raw: true })
+          .then(links => helper.getLinkedMembers(req.id, links)),
+      ])
+        .then(([members, linkedMembers]) => {
+          const participants = _.map(_.get(topic, 'details.allowed_users', []), 'username');
+          const keptUsers = linkedMembers.concat([dbTopic.createdBy, 'system', DISCOURSE_SYSTEM_USERNAME]);
+          const usersToRemove = _.difference(_.intersection(participants, members), keptUsers);
+          logger.debug('Users to remove from topic: ', usersToRemove);
+          return Promise.all(_.map(usersToRemove, userId => discourseClient.removeAccess(userId, topicId)));
+        });
+    }
+
+    let dbTopic;
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((result) => {
+        dbTopic = result;
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        if (dbTopic.createdBy !== req.authUser.userId.toString() && !isPrivileged(req.authUser)) {
+          throw new errors.HttpStatusError(403, 'User is not allowed to unlink the topic');
+        }
+        if (dbTopic.reference === reference && dbTopic.referenceId === referenceId) {
+          throw new errors.HttpStatusError(422, 'Topic can not be unlinked from its own reference, move it instead');
+        }
+        return retrieveTopic(logger, dbTopic, req.authUser, discourseClient);
+      })
+      .then(({ topic }) => {
+        if (!topic) {
+          throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+        }
+        return db.topicLinks.destroy({ where: { topicId: dbTopic.id, reference, referenceId } })
+          .then((count) => {
+            if (count === 0) {
+              throw new errors.HttpStatusError(404, 'Topic is not linked to the entity');
+            }
+            // anyone can read public topics, their participants are not synced
+            return dbTopic.isPublic ? null : removeParticipants(dbTopic, topic);
+          });
+      })
+      .then(() => {
+        logger.info(`Topic ${topicId} unlinked from ${reference} ${referenceId}`);
+        resp.status(200).send(util.wrapResponse(req.id));
+      })
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500, 'Error unlinking topic'));
+      });
+  };
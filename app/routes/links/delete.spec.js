@@ -0,0 +1,135 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+const models = require('../../models');
+const util = require('../../util');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('DELETE /v4/topics/:topicId/links/:reference/:referenceId', () => {
+  const apiPath = '/v4/topics/1/links/reference/other';
+
+  let sandbox;
+  let getStub;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    getStub = sandbox.stub(axios, 'get');
+    getStub.withArgs('/t/1.json').resolves({ data: topicJson });
+    getStub.resolves({ data: {} });
+    sandbox.stub(util, 'getSystemUserToken').resolves('token');
+    prepareDB(() => models.topicLinks.create({ topicId: 1, reference: 'reference', referenceId: 'other' })
+      .then(() => done()));
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .delete(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not the creator of the topic, a manager, copilot or admin', (done) => {
+    request(server)
+      .delete(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(403, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .delete('/v4/topics/1000/links/reference/other')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 404 response if the topic is not linked to the entity', (done) => {
+    request(server)
+      .delete('/v4/topics/1/links/reference/unknown')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not have access to the topic', (done) => {
+    getStub.withArgs('/t/1.json').rejects({});
+    models.topics.update({ createdBy: '40051331' }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .delete(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+          })
+          .expect(403, done);
+      })
+      .catch(done);
+  });
+
+  it('should return 422 response when unlinking the topic from its own reference', (done) => {
+    request(server)
+      .delete('/v4/topics/1/links/reference/referenceId')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(422, done);
+  });
+
+  it('should return 200 response and unlink the topic', (done) => {
+    request(server)
+      .delete(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        return models.topicLinks.findAll({ where: { topicId: 1 }, raw: true })
+          .then((links) => {
+            links.map(link => link.referenceId).should.deepEqual(['referenceId']);
+            done();
+          })
+          .catch(done);
+      });
+  });
+
+  it('should remove the members of the entity who are not members of the other linked entities', (done) => {
+    // the endpoint of the reference lookup fixture is 'http://reftest/${id}', only {id} is replaced
+    getStub.withArgs('http://reftest/$other').resolves({
+      data: { result: { status: 200, content: { members: [{ userId: 40152934 }, { userId: 40152856 }] } } },
+    });
+    getStub.withArgs('http://reftest/$referenceId').resolves({
+      data: { result: { status: 200, content: { members: [{ userId: 40152856 }] } } },
+    });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .delete(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        putStub.should.be.calledWith('/t/1/remove-allowed-user', { username: '40152934' });
+        putStub.should.not.be.calledWith('/t/1/remove-allowed-user', { username: '40152856' });
+        return done();
+      });
+  });
+});
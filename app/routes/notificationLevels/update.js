@@ -0,0 +1,75 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+import Promise from 'bluebird';
+
+import Discourse from '../../services/discourse';
+import HelperService from '../../services/helper';
+import notificationLevels from '../../services/notificationLevels';
+import { NOTIFICATION_LEVEL } from '../../constants';
+import { linksCondition } from '../topics/util';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Sets the default notification level of the current user for the topics of a reference
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Stores the default level, which is applied to the topics created, moved or linked later on to the reference,
+   * and applies it to the existing topics linked to it the user participates in and didn't choose a level for
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const helper = HelperService(logger, db);
+
+    // Validate request parameters
+    const params = Joi.attempt(req.body, {
+      reference: Joi.string().required(),
+      referenceId: Joi.string().required(),
+      level: Joi.string().valid(_.values(NOTIFICATION_LEVEL)).required(),
+    });
+    const userId = req.authUser.userId.toString();
+
+    return helper.userHasAccessToEntity(req.authToken, req.id, params.reference, params.referenceId)
+      .then((hasAccessResp) => {
+        if (!hasAccessResp[0]) {
+          throw new errors.HttpStatusError(403, 'User doesn\'t have access to the entity');
+        }
+        return notificationLevels.save(db, {
+          userId,
+          reference: params.reference,
+          referenceId: params.referenceId,
+          topicId: null,
+        }, params.level);
+      })
+      .then(() => linksCondition(db, _.pick(params, ['reference', 'referenceId'])))
+      .then(idCondition => Promise.all([
+        db.topics.findAll({ where: { id: idCondition }, raw: true }),
+        db.notificationLevels.findAll({ where: { userId, topicId: idCondition }, raw: true }),
+      ]))
+      .then(([dbTopics, topicLevels]) => {
+        const topicsWithLevel = _.map(topicLevels, topicLevel => topicLevel.topicId.toString());
+        const topics = _.filter(dbTopics, dbTopic => !_.includes(topicsWithLevel, dbTopic.id.toString()));
+        return Promise.all(_.map(topics, dbTopic => discourseClient
+          .setNotificationLevel(userId, dbTopic.discourseTopicId, params.level)
+          .catch((error) => {
+            // the user doesn't participate in the topic
+            logger.debug(`Failed to set notification level of topic ${dbTopic.discourseTopicId}`, error.message);
+          })));
+      })
+      .then(() => {
+        logger.info(`Default notification level set to ${params.level}`);
+        resp.status(200).send(util.wrapResponse(req.id, _.pick(params, ['reference', 'referenceId', 'level'])));
+      })
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          500, 'Error setting default notification level'));
+      });
+  };
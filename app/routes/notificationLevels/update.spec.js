@@ -0,0 +1,129 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, createTopics, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('PUT /v4/notification-levels', () => {
+  const apiPath = '/v4/notification-levels';
+  const testBody = {
+    reference: 'reference',
+    referenceId: 'referenceId',
+    level: 'muted',
+  };
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .put(apiPath)
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 400 response without referenceId', (done) => {
+    request(server)
+      .put(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ reference: 'reference', level: 'muted' })
+      .expect(400, done);
+  });
+
+  it('should return 403 response if user does not have access to the entity', (done) => {
+    sandbox.stub(axios, 'get').rejects({});
+    request(server)
+      .put(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  describe('with topics', () => {
+    beforeEach(() => createTopics([2, 3].map(id => ({
+      id,
+      reference: 'reference',
+      referenceId: 'referenceId',
+      discourseTopicId: id,
+      tag: 'tag',
+    }))).then(() => models.notificationLevels.create({
+      userId: '40051331',
+      reference: 'reference',
+      referenceId: 'referenceId',
+      topicId: 3,
+      level: 'watching',
+    })));
+
+    it('should return 200 response and apply the level to the topics without a level', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+      const postStub = sandbox.stub(axios, 'post');
+      postStub.withArgs('/t/1/notifications').resolves({});
+      // the user doesn't participate in topic 2
+      postStub.withArgs('/t/2/notifications').rejects({ response: { status: 403 } });
+      request(server)
+        .put(apiPath)
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .send(testBody)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.should.eql(testBody);
+          sinon.assert.calledTwice(postStub);
+          postStub.should.be.calledWith('/t/1/notifications', { notification_level: 0 });
+          postStub.should.not.be.calledWith('/t/3/notifications');
+          return models.notificationLevels.findOne({ where: { topicId: null }, raw: true }).then((level) => {
+            level.should.have.properties({ userId: '40051331', referenceId: 'referenceId', level: 'muted' });
+            done();
+          }).catch(done);
+        });
+    });
+
+    it('should apply the level to the topics linked to the reference', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+      const postStub = sandbox.stub(axios, 'post').resolves({});
+      createTopics([{ id: 4, reference: 'other', referenceId: 'otherId', discourseTopicId: 4 }])
+        .then(() => models.topicLinks.create({ topicId: 4, reference: 'reference', referenceId: 'referenceId' }))
+        .then(() => {
+          request(server)
+            .put(apiPath)
+            .set({
+              Authorization: `Bearer ${jwts.member}`,
+            })
+            .send(testBody)
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                return done(err);
+              }
+              postStub.should.be.calledWith('/t/4/notifications', { notification_level: 0 });
+              postStub.should.not.be.calledWith('/t/3/notifications');
+              return done();
+            });
+        })
+        .catch(done);
+    });
+  });
+});
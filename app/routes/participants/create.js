@@ -0,0 +1,68 @@
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+import HelperService from '../../services/helper';
+import { isPrivileged } from '../topics/util';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Adds a participant to a topic
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Invites a user to the topic:
+   *  - Only admins, managers and copilots can add participants
+   *  - Verifies the current user has access to at least one of the entities the topic is linked to,
+   *    if not returns 403
+   *  - Provisions the invited user in Discourse if needed, and grants them access to the topic
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const helper = HelperService(logger, db);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+    });
+    const params = Joi.attempt(req.body, {
+      userId: Joi.number().integer().required(),
+    });
+    const topicId = req.params.topicId;
+    const userId = params.userId.toString();
+
+    if (!isPrivileged(req.authUser)) {
+      return next(new errors.HttpStatusError(403, 'User is not allowed to add participants'));
+    }
+
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((dbTopic) => {
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        return db.topicLinks.findAll({ where: { topicId: dbTopic.id }, raw: true });
+      })
+      .then(links => helper.userHasAccessToAnyEntity(req.authToken, req.id, links))
+      .then((hasAccessResp) => {
+        if (!hasAccessResp[0]) {
+          throw new errors.HttpStatusError(403, 'User doesn\'t have access to the entity');
+        }
+        return helper.getUserOrProvision(userId);
+      })
+      .then(() => discourseClient.grantAccess(userId, topicId))
+      .then(() => {
+        logger.info(`User ${userId} added to topic ${topicId}`);
+        resp.status(200).send(util.wrapResponse(req.id, { userId: params.userId }));
+      })
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500, 'Error adding participant'));
+      });
+  };
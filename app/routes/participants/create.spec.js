@@ -0,0 +1,130 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/participants', () => {
+  const apiPath = '/v4/topics/1/participants';
+  const testBody = {
+    userId: 40051331,
+  };
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not a manager, copilot or admin', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 400 response without userId', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({})
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .post('/v4/topics/1000/participants')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send(testBody)
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not have access to the entity', (done) => {
+    sandbox.stub(axios, 'get').rejects({});
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send(testBody)
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(postStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response and grant access to the user', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send(testBody)
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.userId.should.equal(40051331);
+        postStub.should.be.calledWith('/t/1/invite', { user: '40051331' });
+        return done();
+      });
+  });
+
+  it('should return 200 response if user has access to another entity the topic is linked to', (done) => {
+    const getStub = sandbox.stub(axios, 'get');
+    getStub.resolves({ data: { result: { status: 200, content: {} } } });
+    getStub.withArgs(sinon.match(/referenceId$/)).rejects({});
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    models.topicLinks.create({ topicId: 1, reference: 'reference', referenceId: 'other' })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.manager}`,
+          })
+          .send(testBody)
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            postStub.should.be.calledWith('/t/1/invite', { user: '40051331' });
+            return done();
+          });
+      });
+  });
+});
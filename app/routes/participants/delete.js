@@ -0,0 +1,70 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+import HelperService from '../../services/helper';
+import { isPrivileged } from '../topics/util';
+
+const util = require('tc-core-library-js').util(config);
+
+const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
+
+/**
+ * Removes a participant from a topic
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Removes the access of a user to the topic:
+   *  - Only admins, managers and copilots can remove participants
+   *  - Verifies the current user has access to at least one of the entities the topic is linked to,
+   *    if not returns 403
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const helper = HelperService(logger, db);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+      userId: Joi.string().required(),
+    });
+    const topicId = req.params.topicId;
+    const userId = req.params.userId;
+
+    if (!isPrivileged(req.authUser)) {
+      return next(new errors.HttpStatusError(403, 'User is not allowed to remove participants'));
+    }
+    if (_.includes(['system', DISCOURSE_SYSTEM_USERNAME], userId)) {
+      return next(new errors.HttpStatusError(422, 'System user can not be removed from the topic'));
+    }
+
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((dbTopic) => {
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        return db.topicLinks.findAll({ where: { topicId: dbTopic.id }, raw: true });
+      })
+      .then(links => helper.userHasAccessToAnyEntity(req.authToken, req.id, links))
+      .then((hasAccessResp) => {
+        if (!hasAccessResp[0]) {
+          throw new errors.HttpStatusError(403, 'User doesn\'t have access to the entity');
+        }
+        return discourseClient.removeAccess(userId, topicId);
+      })
+      .then(() => {
+        logger.info(`User ${userId} removed from topic ${topicId}`);
+        resp.status(200).send(util.wrapResponse(req.id));
+      })
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500, 'Error removing participant'));
+      });
+  };
@@ -0,0 +1,95 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const server = require('../../app');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('DELETE /v4/topics/:topicId/participants/:userId', () => {
+  const apiPath = '/v4/topics/1/participants/40051331';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .delete(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not a manager, copilot or admin', (done) => {
+    request(server)
+      .delete(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(403, done);
+  });
+
+  it('should return 422 response when removing the system user', (done) => {
+    request(server)
+      .delete('/v4/topics/1/participants/system')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(422, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .delete('/v4/topics/1000/participants/40051331')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not have access to the entity', (done) => {
+    sandbox.stub(axios, 'get').rejects({});
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .delete(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(putStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response and remove the access of the user', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .delete(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        putStub.should.be.calledWith('/t/1/remove-allowed-user', { username: '40051331' });
+        return done();
+      });
+  });
+});
@@ -0,0 +1,51 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+import { retrieveTopic } from '../topics/util';
+
+const util = require('tc-core-library-js').util(config);
+
+const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
+
+/**
+ * Lists the participants of a topic
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  const logger = req.log;
+  const discourseClient = Discourse(logger);
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+  });
+  const topicId = req.params.topicId;
+
+  return db.topics.findOne({ where: { discourseTopicId: topicId } })
+    .then((dbTopic) => {
+      if (!dbTopic) {
+        throw new errors.HttpStatusError(404, 'Topic does not exist');
+      }
+      return retrieveTopic(logger, dbTopic, req.authUser, discourseClient);
+    })
+    .then(({ topic }) => {
+      if (!topic) {
+        throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+      }
+      const participants = _.chain(_.get(topic, 'details.allowed_users', []))
+        .map('username')
+        .without('system', DISCOURSE_SYSTEM_USERNAME)
+        .map(userId => ({ userId: parseInt(userId, 10) }))
+        .value();
+      resp.status(200).send(util.wrapResponse(req.id, participants, participants.length));
+    })
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        error.response && error.response.status ? error.response.status : 500, 'Error retrieving participants'));
+    });
+};
@@ -0,0 +1,76 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('GET /v4/topics/:topicId/participants', () => {
+  const apiPath = '/v4/topics/1/participants';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .get(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .get('/v4/topics/1000/participants')
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not have access to the topic', (done) => {
+    sandbox.stub(axios, 'get').rejects({ response: { status: 403 } });
+    request(server)
+      .get(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(403, done);
+  });
+
+  it('should return 200 response with the participants of the topic', (done) => {
+    sandbox.stub(axios, 'get').withArgs('/t/1.json').resolves({ data: topicJson });
+    request(server)
+      .get(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.should.eql([
+          { userId: 40152934 },
+          { userId: 40152856 },
+          { userId: 40152855 },
+          { userId: 40152933 },
+          { userId: 40135978 },
+        ]);
+        res.body.result.metadata.totalCount.should.equal(5);
+        return done();
+      });
+  });
+});
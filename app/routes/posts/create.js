@@ -1,11 +1,29 @@
 
+const _ = require('lodash');
 const config = require('config');
 const util = require('tc-core-library-js').util(config);
+const Promise = require('bluebird');
 const Discourse = require('../../services/discourse');
+const HelperService = require('../../services/helper');
 const errors = require('common-errors');
 const Adapter = require('../../services/adapter');
+const idempotency = require('../../services/idempotency');
 const Joi = require('joi');
 
+/**
+ * Renders the markdown referencing an attachment in the raw of a post, images are displayed inline.
+ * The name of the file is given by the client, so it is escaped not to break or inject markup.
+ * @param {Object} attachment the attachment
+ * @return {String} markdown
+ */
+function attachmentMarkdown(attachment) {
+  const fileName = attachment.fileName.replace(/\s+/g, ' ').replace(/([\\`*_[\]()<>!|])/g, '\\$1');
+  if (_.startsWith(attachment.contentType, 'image/')) {
+    return `![${fileName}](${attachment.url})`;
+  }
+  return `[${fileName}|attachment](${attachment.url})`;
+}
+
 /**
  * Creates a new post to a topic in Discourse
  * @param {Object} db sequelize db with models loaded
@@ -15,25 +33,95 @@ module.exports = db => (req, resp, next) => {
   const logger = req.log;
   const discourseClient = Discourse(logger);
   const adapter = new Adapter(logger, db);
-  // const helper = HelperService(logger, db);
+  const helper = HelperService(logger, db);
 
     // Validate request parameters
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+  });
   Joi.assert(req.body, {
     post: Joi.string().required(),
+    responseTo: Joi.number().integer().min(1),
+    attachmentIds: Joi.array().items(Joi.number().integer()).unique(),
   });
-  const postBody = req.body.post;
-  return discourseClient.createPost(
-    req.authUser.userId.toString(),
+  let postBody = req.body.post;
+  const userId = req.authUser.userId.toString();
+  let attachments = [];
+
+  /**
+   * Loads the attachments to add to the post, they must have been uploaded by the user to the topic,
+   * and not be part of another post yet
+   * @param {Object} dbTopic the topic in the database
+   * @return {Promise} promise
+   */
+  function loadAttachments(dbTopic) {
+    const attachmentIds = req.body.attachmentIds || [];
+    if (attachmentIds.length === 0) {
+      return Promise.resolve();
+    }
+    if (!dbTopic) {
+      return Promise.reject(new errors.HttpStatusError(404, 'Topic does not exist'));
+    }
+    return db.attachments.findAll({
+      where: { id: { $in: attachmentIds }, topicId: dbTopic.id, createdBy: userId, postId: null },
+      order: [['id', 'ASC']],
+    })
+    .then((dbAttachments) => {
+      if (dbAttachments.length !== attachmentIds.length) {
+        throw new errors.HttpStatusError(400, 'Attachments must be uploaded to the topic by the user');
+      }
+      attachments = dbAttachments;
+      postBody = [postBody].concat(attachments.map(attachmentMarkdown)).join('\n\n');
+    });
+  }
+
+  return db.topics.findOne({ where: { discourseTopicId: req.params.topicId } })
+  .then(dbTopic => loadAttachments(dbTopic).then(() => dbTopic))
+  .then((dbTopic) => {
+    if (!dbTopic || !dbTopic.isPublic) {
+      return null;
+    }
+    // users don't need to be part of public topics to post, but they must be allowed to write in them
+    return helper.userCanWriteToPublicTopics(req.authToken, req.id, req.authUser,
+      dbTopic.reference, dbTopic.referenceId)
+    .then((canWrite) => {
+      if (!canWrite) {
+        throw new errors.HttpStatusError(403, 'User can\'t post in the public topics of the entity');
+      }
+      return helper.getUserOrProvision(userId);
+    });
+  })
+  .then(() => discourseClient.createPost(
+    userId,
     postBody,
     req.params.topicId,
-    req.body.responseTo)
+    req.body.responseTo))
   .then((response) => {
     logger.info('Post created');
-    return adapter.adaptPost(response.data);
+    if (attachments.length === 0) {
+      return response;
+    }
+    // the attachments are claimed only if they were not attached to another post in the meantime
+    const postId = response.data.id;
+    return db.attachments.update({ postId }, { where: { id: { $in: _.map(attachments, 'id') }, postId: null } })
+      .spread((count) => {
+        if (count === attachments.length) {
+          return response;
+        }
+        logger.info(`Attachments were added to another post, deleting post ${postId}`);
+        return db.attachments.update({ postId: null }, { where: { postId } })
+          .then(() => discourseClient.deletePost(userId, postId))
+          .then(() => {
+            throw new errors.HttpStatusError(409, 'Attachments were added to another post');
+          });
+      });
   })
-  .then(post => resp.status(200).send(util.wrapResponse(req.id, post)))
+  .then(response => adapter.adaptPost(response.data))
+  .then(post => idempotency.complete(req, post.id, post)
+    .then(() => resp.status(200).send(util.wrapResponse(req.id, post))))
   .catch((error) => {
     logger.error(error);
-    next(new errors.HttpStatusError(error.response.status, 'Error creating post'));
+    next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+      error.response && error.response.status ? error.response.status : 500, 'Error creating post'));
   });
 };
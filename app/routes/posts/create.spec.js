@@ -1,20 +1,24 @@
 /* eslint-disable no-unused-expressions, newline-per-chained-call */
 
-import { jwts } from '../../tests';
+import { clearDB, prepareDB, waitFor, jwts } from '../../tests';
 
 const request = require('supertest');
 const server = require('../../app');
 const axios = require('axios');
 const sinon = require('sinon');
+const models = require('../../models');
 const postJson = require('../../tests/post.json');
 require('should-sinon');
 
 describe('POST /v4/topics/:topicId/posts ', () => {
   const apiPath = '/v4/topics/:topicId/posts';
+  const topicPath = '/v4/topics/1/posts';
   const testBody = {
     post: 'test post',
   };
   let sandbox;
+  // posts are adapted with their attachments from the db
+  before(clearDB);
   beforeEach(() => {
     sandbox = sinon.sandbox.create();
   });
@@ -38,10 +42,28 @@ describe('POST /v4/topics/:topicId/posts ', () => {
             .expect(403, done);
   });
 
+  it('should return 400 response with a non numeric topicId', (done) => {
+    const postStub = sandbox.stub(axios, 'post');
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send(testBody)
+      .expect(400)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.not.be.called();
+        return done();
+      });
+  });
+
   it('should return 200 response with valid jwt token and payload', (done) => {
     sandbox.stub(axios, 'post').resolves({ data: postJson });
     request(server)
-            .post(apiPath)
+            .post(topicPath)
             .set({
               Authorization: `Bearer ${jwts.admin}`,
             })
@@ -56,6 +78,42 @@ describe('POST /v4/topics/:topicId/posts ', () => {
             });
   });
 
+  it('should send the number of the post replied to', (done) => {
+    const postStub = sandbox.stub(axios, 'post').resolves({ data: postJson });
+    request(server)
+      .post(topicPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send({ post: 'test reply', responseTo: 2 })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.be.calledWith('/posts', sinon.match('reply_to_post_number=2'));
+        return done();
+      });
+  });
+
+  it('should return 400 response with an invalid post number to reply to', (done) => {
+    const postStub = sandbox.stub(axios, 'post');
+    request(server)
+      .post(topicPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send({ post: 'test reply', responseTo: 0 })
+      .expect(400)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.not.be.called();
+        return done();
+      });
+  });
+
   it('should return 500 response with error response', (done) => {
     sandbox.stub(axios, 'post').rejects({
       response: {
@@ -63,7 +121,7 @@ describe('POST /v4/topics/:topicId/posts ', () => {
       },
     });
     request(server)
-            .post(apiPath)
+            .post(topicPath)
             .set({
               Authorization: `Bearer ${jwts.admin}`,
             })
@@ -78,4 +136,278 @@ describe('POST /v4/topics/:topicId/posts ', () => {
               return done();
             });
   });
+
+  describe('with Idempotency-Key', () => {
+    beforeEach(clearDB);
+    afterEach(clearDB);
+
+    /**
+     * Creates a post with the given Idempotency-Key
+     * @param {String} key the Idempotency-Key header
+     * @param {Number} status expected response status
+     * @param {Function} cb callback
+     * @return {void}
+     */
+    function createPost(key, status, cb) {
+      request(server)
+        .post(topicPath)
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+          'Idempotency-Key': key,
+        })
+        .send(testBody)
+        .expect(status)
+        .end(cb);
+    }
+
+    it('should replay the original response for a repeated key', (done) => {
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: postJson });
+      createPost('key-1', 200, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+        return createPost('key-1', 200, (err2, res2) => {
+          if (err2) {
+            return done(err2);
+          }
+          sinon.assert.calledOnce(postStub);
+          res2.body.result.content.should.eql(res.body.result.content);
+          return done();
+        });
+      });
+    });
+
+    it('should release the key when creating the post fails', (done) => {
+      const postStub = sandbox.stub(axios, 'post');
+      postStub.onFirstCall().rejects({ response: { status: 500 } });
+      postStub.resolves({ data: postJson });
+      createPost('key-2', 500, (err) => {
+        if (err) {
+          return done(err);
+        }
+        // the failed request releases the key after its response is sent
+        return waitFor(() => models.idempotencyKeys.count().then(count => count === 0))
+          .then(() => createPost('key-2', 200, (err2) => {
+            if (err2) {
+              return done(err2);
+            }
+            sinon.assert.calledTwice(postStub);
+            return done();
+          }))
+          .catch(done);
+      });
+    });
+
+    it('should return 422 response when the key is reused for a different request', (done) => {
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: postJson });
+      createPost('key-3', 200, (err) => {
+        if (err) {
+          return done(err);
+        }
+        return request(server)
+          .post(topicPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+            'Idempotency-Key': 'key-3',
+          })
+          .send({ post: 'another post' })
+          .expect(422)
+          .end((err2) => {
+            if (err2) {
+              return done(err2);
+            }
+            sinon.assert.calledOnce(postStub);
+            return done();
+          });
+      });
+    });
+
+    it('should return 400 response with a too long key', (done) => {
+      createPost('k'.repeat(256), 400, done);
+    });
+  });
+
+  describe('in public topics', () => {
+    beforeEach(done => prepareDB(() => models.topics.update({ isPublic: true }, { where: { id: 1 } })
+      .then(() => done()).catch(done)));
+    afterEach(clearDB);
+
+    it('should provision the user and create the post when the user can access the entity', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: { result: { status: 200, content: {} } } });
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: postJson });
+      request(server)
+        .post(topicPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(testBody)
+        .expect(200)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          postStub.should.be.calledWith('/posts', 'topic_id=1&raw=test%20post');
+          return done();
+        });
+    });
+
+    it('should return 403 response when the user can\'t access the entity', (done) => {
+      sandbox.stub(axios, 'get').rejects({});
+      const postStub = sandbox.stub(axios, 'post');
+      request(server)
+        .post(topicPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(testBody)
+        .expect(403)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          postStub.should.not.be.called();
+          return done();
+        });
+    });
+  });
+
+  describe('in soft deleted topics', () => {
+    beforeEach(done => prepareDB(() => models.topics.destroy({ where: { id: 1 } })
+      .then(() => done()).catch(done)));
+    afterEach(clearDB);
+
+    it('should return 404 response without posting to discourse', (done) => {
+      const postStub = sandbox.stub(axios, 'post');
+      request(server)
+        .post(topicPath)
+        .set({ Authorization: `Bearer ${jwts.admin}` })
+        .send(testBody)
+        .expect(404)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          postStub.should.not.be.called();
+          return done();
+        });
+    });
+  });
+
+  describe('with attachments', () => {
+    const imageUrl = '/uploads/default/original/1X/abc.png';
+    const fileUrl = '/uploads/default/original/1X/def.pdf';
+    /**
+     * Builds an attachment uploaded to the topic
+     * @param {Number} id id of the attachment
+     * @param {String} fileName name of the file
+     * @param {String} url url of the file in discourse
+     * @param {String} createdBy id of the user who uploaded the file
+     * @return {Object} attachment
+     */
+    function buildAttachment(id, fileName, url, createdBy) {
+      return {
+        id,
+        topicId: 1,
+        discourseUploadId: id + 4,
+        url,
+        fileName,
+        fileSize: 4,
+        contentType: fileName.endsWith('.png') ? 'image/png' : 'application/pdf',
+        createdBy,
+      };
+    }
+    beforeEach(done => prepareDB(() => models.attachments.bulkCreate([
+      buildAttachment(1, 'image.png', imageUrl, '40051331'),
+      buildAttachment(2, 'file.pdf', fileUrl, '40051331'),
+      buildAttachment(3, 'file.pdf', fileUrl, '40051333'),
+    ]).then(() => done()).catch(done)));
+    afterEach(clearDB);
+
+    it('should reference the attachments in the post and return them', (done) => {
+      const cooked = `<p>test post</p>\n<p><img src="${imageUrl}" width="10" height="10"></p>\n` +
+        `<p><a class="attachment" href="${fileUrl}">file.pdf</a> (4 Bytes)</p>`;
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: Object.assign({}, postJson, { cooked }) });
+      request(server)
+        .post(topicPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send({ post: 'test post', attachmentIds: [2, 1] })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          postStub.should.be.calledWith('/posts', sinon.match(
+            encodeURIComponent(`test post\n\n![image.png](${imageUrl})\n\n[file.pdf|attachment](${fileUrl})`)));
+          res.body.result.content.body.should.equal('<p>test post</p>');
+          res.body.result.content.attachments.map(attachment => attachment.id).should.eql(['1', '2']);
+          return models.attachments.count({ where: { postId: postJson.id } }).then((count) => {
+            count.should.equal(2);
+            done();
+          }).catch(done);
+        });
+    });
+
+    it('should return 400 response with an attachment of another user', (done) => {
+      const postStub = sandbox.stub(axios, 'post');
+      request(server)
+        .post(topicPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send({ post: 'test post', attachmentIds: [1, 3] })
+        .expect(400)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          postStub.should.not.be.called();
+          return done();
+        });
+    });
+
+    it('should return 400 response with an attachment of another post', (done) => {
+      models.attachments.update({ postId: 100 }, { where: { id: 1 } }).then(() => {
+        request(server)
+          .post(topicPath)
+          .set({ Authorization: `Bearer ${jwts.member}` })
+          .send({ post: 'test post', attachmentIds: [1] })
+          .expect(400, done);
+      }).catch(done);
+    });
+
+    it('should escape the markup in the names of the files', (done) => {
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: postJson });
+      models.attachments.update({ fileName: 'a](http://evil)\n# b.pdf' }, { where: { id: 2 } }).then(() => {
+        request(server)
+          .post(topicPath)
+          .set({ Authorization: `Bearer ${jwts.member}` })
+          .send({ post: 'test post', attachmentIds: [2] })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            postStub.should.be.calledWith('/posts', sinon.match(
+              encodeURIComponent(`test post\n\n[a\\]\\(http://evil\\) # b.pdf|attachment](${fileUrl})`)));
+            return done();
+          });
+      }).catch(done);
+    });
+
+    it('should delete the post and return 409 response when the attachments were added to another post', (done) => {
+      // another request attaches the file while the post is created
+      sandbox.stub(axios, 'post').callsFake(() => models.attachments.update({ postId: 100 }, { where: { id: 1 } })
+        .then(() => ({ data: postJson })));
+      const deleteStub = sandbox.stub(axios, 'delete').resolves({});
+      request(server)
+        .post(topicPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send({ post: 'test post', attachmentIds: [1, 2] })
+        .expect(409)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          deleteStub.should.be.calledWith(`/posts/${postJson.id}.json`);
+          return models.attachments.findAll({ order: [['id', 'ASC']], raw: true }).then((attachments) => {
+            attachments.map(attachment => attachment.postId).should.eql(['100', null, null]);
+            done();
+          }).catch(done);
+        });
+    });
+  });
 });
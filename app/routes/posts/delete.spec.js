@@ -1,6 +1,6 @@
 /* eslint-disable no-unused-expressions, newline-per-chained-call */
 
-import { jwts } from '../../tests';
+import { clearDB, jwts } from '../../tests';
 
 const request = require('supertest');
 const server = require('../../app');
@@ -11,6 +11,8 @@ require('should-sinon');
 describe('DELETE /v4/topics/:topicId/posts/:postId ', () => {
   const apiPath = '/v4/topics/1/posts/1';
   let sandbox;
+  // soft deleted topics are looked up in the db
+  before(clearDB);
   beforeEach(() => {
     sandbox = sinon.sandbox.create();
   });
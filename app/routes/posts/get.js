@@ -1,13 +1,31 @@
-
-
+const _ = require('lodash');
 const config = require('config');
 const util = require('tc-core-library-js').util(config);
+const Promise = require('bluebird');
 const Discourse = require('../../services/discourse');
 const errors = require('common-errors');
+const Joi = require('joi');
 const Adapter = require('../../services/adapter');
+const { bodyFormatQuery, bodyOptions } = require('../topics/util');
+
+/**
+ * Wraps a page of posts, adding the cursors of the next and previous pages to the response metadata
+ * @param {String} requestId request identifier
+ * @param {Array} posts posts of the current page
+ * @param {Number} totalCount number of posts of the topic
+ * @param {Number} nextCursor post number to fetch the next page after, null if this is the last page
+ * @param {Number} previousCursor post number to fetch the previous page before, null if this is the first page
+ * @return {Object} wrapped response
+ */
+function wrapPage(requestId, posts, totalCount, nextCursor, previousCursor) {
+  const body = util.wrapResponse(requestId, posts, totalCount);
+  body.result.metadata.nextCursor = nextCursor;
+  body.result.metadata.previousCursor = previousCursor;
+  return body;
+}
 
 /**
- * Creates a new post to a topic in Discourse
+ * Fetches posts of a topic in Discourse
  * @param {Object} db sequelize db with models loaded
  * @return {Object} response
  */
@@ -15,16 +33,24 @@ module.exports = db => (req, resp, next) => {
   const logger = req.log;
   const discourseClient = Discourse(logger);
   const adapter = new Adapter(logger, db);
+  const userId = req.authUser.userId.toString();
 
-  if (!req.query.postIds) {
-    return resp.status(400).send('Post ids parameter is required');
-  }
+  // Validate request parameters
+  // the posts are either given by their ids, or paged by their post numbers: the posts after or before a post number
+  Joi.assert(req.query, Joi.object().keys(_.assign({
+    postIds: Joi.string(),
+    after: Joi.number().integer().min(0),
+    before: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(config.get('maxPostsPageSize')),
+  }, bodyFormatQuery)).nand('after', 'before').without('postIds', ['after', 'before', 'limit']));
+  const options = bodyOptions(req.query);
 
-  const postIds = req.query.postIds.split(',');
-  return discourseClient.getPosts(req.authUser.userId.toString(), req.params.topicId, postIds)
+  if (req.query.postIds) {
+    const postIds = req.query.postIds.split(',');
+    return discourseClient.getPosts(userId, req.params.topicId, postIds, options.includeRaw)
       .then((response) => {
         logger.info('Fetched posts from discourse');
-        return adapter.adaptPosts(response.data);
+        return adapter.adaptPosts(response.data, options);
       })
       .then(post => resp.status(200).send(util.wrapResponse(req.id, post))).catch((error) => {
         logger.error('Error', error);
@@ -32,4 +58,36 @@ module.exports = db => (req, resp, next) => {
         logger.error(error.response && error.response.data);
         next(new errors.HttpStatusError(error.response.status, 'Error fetching posts'));
       });
+  }
+
+  // Without a cursor, the first page of the topic is returned
+  const asc = !req.query.before;
+  const postNumber = parseInt(asc ? req.query.after || 0 : req.query.before, 10);
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : config.get('maxPostsPageSize');
+
+  return Promise.all([
+    discourseClient.getTopic(req.params.topicId, userId),
+    discourseClient.getTopicPosts(userId, req.params.topicId, postNumber, asc, options.includeRaw),
+  ])
+    .then(([topic, topicPosts]) => {
+      logger.info('Fetched posts from discourse');
+      // discourse returns a whole chunk of posts, the ones closest to the cursor are kept
+      const chunk = topicPosts.post_stream.posts;
+      const posts = asc ? _.take(chunk, limit) : _.takeRight(chunk, limit);
+      const firstPostNumber = _.get(topic, 'post_stream.posts[0].post_number', 1);
+      let nextCursor = null;
+      let previousCursor = null;
+      if (posts.length > 0) {
+        nextCursor = _.last(posts).post_number < topic.highest_post_number ? _.last(posts).post_number : null;
+        previousCursor = posts[0].post_number > firstPostNumber ? posts[0].post_number : null;
+      }
+      return adapter.adaptPosts({ post_stream: { posts } }, options)
+        .then(result => resp.status(200).send(wrapPage(req.id, result, topic.post_stream.stream.length,
+          nextCursor, previousCursor)));
+    })
+    .catch((error) => {
+      logger.error('Error', error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        error.response && error.response.status ? error.response.status : 500, 'Error fetching posts'));
+    });
 };
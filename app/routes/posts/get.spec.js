@@ -0,0 +1,243 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import _ from 'lodash';
+import { clearDB, jwts } from '../../tests';
+
+const request = require('supertest');
+const server = require('../../app');
+const axios = require('axios');
+const sinon = require('sinon');
+const config = require('config');
+const util = require('../../util');
+require('should-sinon');
+
+/**
+ * Builds discourse posts
+ * @param {Array} postNumbers post numbers of the posts
+ * @return {Array} posts
+ */
+function buildPosts(postNumbers) {
+  return postNumbers.map(postNumber => ({
+    id: postNumber + 100,
+    post_number: postNumber,
+    username: '40051331',
+    cooked: `<p>post ${postNumber}</p>`,
+    created_at: '2017-01-01T00:00:00.000Z',
+  }));
+}
+
+describe('GET /v4/topics/:topicId/posts ', () => {
+  const apiPath = '/v4/topics/1/posts';
+  // a topic with 30 posts
+  const topic = {
+    id: 1,
+    highest_post_number: 30,
+    post_stream: {
+      posts: buildPosts([1]),
+      stream: _.range(101, 131),
+    },
+  };
+  let sandbox;
+  // posts are adapted with their attachments from the db
+  before(clearDB);
+  beforeEach(() => {
+    sandbox = sinon.sandbox.create();
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  /**
+   * Stubs discourse, posts.json resolves the chunk of up to 20 posts around the requested post number
+   * @return {Object} stub of axios.get
+   */
+  function stubDiscourse() {
+    const getStub = sandbox.stub(axios, 'get');
+    getStub.withArgs('/t/1.json').resolves({ data: topic });
+    getStub.withArgs('/t/1/posts.json').callsFake((url, options) => {
+      const postNumber = options.params.post_number;
+      const postNumbers = options.params.asc ?
+        _.range(postNumber + 1, Math.min(postNumber + 21, 31)) : _.range(Math.max(postNumber - 20, 1), postNumber);
+      return Promise.resolve({ data: { post_stream: { posts: buildPosts(postNumbers) } } });
+    });
+    return getStub;
+  }
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .get(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 400 response with both after and before', (done) => {
+    request(server)
+      .get(apiPath)
+      .query({ after: 1, before: 10 })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(400, done);
+  });
+
+  it('should return 400 response with a limit over the maximum page size', (done) => {
+    request(server)
+      .get(apiPath)
+      .query({ limit: 100 })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(400, done);
+  });
+
+  it('should return 200 response with the posts of the given ids', (done) => {
+    const posts = buildPosts([2, 3]);
+    _.assign(posts[1], { version: 3, updated_at: '2017-01-02T00:00:00.000Z' });
+    sandbox.stub(axios, 'get').resolves({ data: { post_stream: { posts } } });
+    request(server)
+      .get(apiPath)
+      .query({ postIds: '102,103' })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.map(post => post.id).should.eql([102, 103]);
+        res.body.result.content[0].reactions.should.eql([{ type: 'like', count: 0, reacted: false }]);
+        res.body.result.content[0].should.containDeep({ edited: false, editedAt: null, revisionCount: 0 });
+        res.body.result.content[1].should.containDeep({
+          edited: true,
+          editedAt: '2017-01-02T00:00:00.000Z',
+          revisionCount: 2,
+        });
+        return done();
+      });
+  });
+
+  it('should return the first page of posts without a cursor', (done) => {
+    stubDiscourse();
+    request(server)
+      .get(apiPath)
+      .query({ limit: 5 })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.map(post => post.postNumber).should.eql([1, 2, 3, 4, 5]);
+        res.body.result.metadata.totalCount.should.equal(30);
+        res.body.result.metadata.nextCursor.should.equal(5);
+        (res.body.result.metadata.previousCursor === null).should.be.true;
+        return done();
+      });
+  });
+
+  it('should return the posts after the cursor', (done) => {
+    const getStub = stubDiscourse();
+    request(server)
+      .get(apiPath)
+      .query({ after: 25, limit: 10 })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        getStub.should.be.calledWith('/t/1/posts.json', sinon.match({ params: { post_number: 25, asc: true } }));
+        res.body.result.content.map(post => post.postNumber).should.eql([26, 27, 28, 29, 30]);
+        (res.body.result.metadata.nextCursor === null).should.be.true;
+        res.body.result.metadata.previousCursor.should.equal(26);
+        return done();
+      });
+  });
+
+  it('should return the posts before the cursor', (done) => {
+    stubDiscourse();
+    request(server)
+      .get(apiPath)
+      .query({ before: 26, limit: 3 })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.map(post => post.postNumber).should.eql([23, 24, 25]);
+        res.body.result.metadata.nextCursor.should.equal(25);
+        res.body.result.metadata.previousCursor.should.equal(23);
+        return done();
+      });
+  });
+
+  it('should return the error status of discourse', (done) => {
+    sandbox.stub(axios, 'get').rejects({ response: { status: 403 } });
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(403, done);
+  });
+
+  describe('with body formats', () => {
+    const mentionPost = _.assign(buildPosts([2])[0], {
+      cooked: '<p>Hi <a class="mention" href="/users/40051331">@40051331</a>, see <a href="/t/1">this</a></p>',
+      raw: 'Hi @40051331, see [this](/t/1)',
+    });
+
+    /**
+     * Stubs discourse, and the lookup of the handles of the mentioned users
+     * @return {Object} stub of axios.get
+     */
+    function stubMentions() {
+      sandbox.stub(util, 'getSystemUserToken').resolves('token');
+      const getStub = sandbox.stub(axios, 'get');
+      getStub.withArgs(`${config.memberServiceUrl}/_search`)
+        .resolves({ data: { result: { content: [{ handle: 'test1' }] } } });
+      getStub.withArgs(`${config.memberServiceUrl}/test1`)
+        .resolves({ data: { result: { content: { handle: 'test1', userId: 40051331 } } } });
+      getStub.resolves({ data: { post_stream: { posts: [mentionPost] } } });
+      return getStub;
+    }
+
+    it('should return 400 response with an unknown format in bodies', (done) => {
+      request(server)
+        .get(apiPath)
+        .query({ postIds: '102', bodies: 'raw,markdown' })
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .expect(400, done);
+    });
+
+    it('should return the html body without the raw markdown by default', (done) => {
+      const getStub = stubMentions();
+      request(server)
+        .get(apiPath)
+        .query({ postIds: '102' })
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          getStub.should.not.be.calledWith(sinon.match(/posts\.json/), sinon.match({ params: { include_raw: true } }));
+          res.body.result.content[0].body.should.equal(
+            '<p>Hi <a class="mention" href="/users/test1">@test1</a>, see <a href="/t/1">this</a></p>');
+          res.body.result.content[0].should.not.have.property('bodies');
+          return done();
+        });
+    });
+
+    it('should convert the mentions to handles in each format', (done) => {
+      const getStub = stubMentions();
+      request(server)
+        .get(apiPath)
+        .query({ postIds: '102', format: 'raw', bodies: 'text' })
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          getStub.should.be.calledWith(sinon.match(/posts\.json/), sinon.match({ params: { include_raw: true } }));
+          res.body.result.content[0].body.should.equal('Hi @test1, see [this](/t/1)');
+          res.body.result.content[0].bodies.should.eql({ text: 'Hi @test1, see this' });
+          return done();
+        });
+    });
+  });
+});
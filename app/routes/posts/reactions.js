@@ -0,0 +1,59 @@
+const _ = require('lodash');
+const config = require('config');
+const util = require('tc-core-library-js').util(config);
+const Discourse = require('../../services/discourse');
+const errors = require('common-errors');
+const Joi = require('joi');
+const Adapter = require('../../services/adapter');
+const { REACTION, DISCOURSE_POST_ACTION_TYPES } = require('../../constants');
+
+/**
+ * Adds or removes a reaction of the current user to a post in Discourse
+ * @param {Object} db sequelize db with models loaded
+ * @param {Boolean} react whether the reaction should be added or removed
+ * @return {Object} response
+ */
+module.exports = (db, react) => (req, resp, next) => {
+  const logger = req.log;
+  const discourseClient = Discourse(logger);
+  const adapter = new Adapter(logger, db);
+
+  // Validate request parameters
+  // the type of the reaction is given in the body when reacting, and in the query when removing the reaction
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+    postId: Joi.number().required(),
+  });
+  const params = Joi.attempt((react ? req.body : req.query) || {}, {
+    type: Joi.string().valid(_.values(REACTION)).default(REACTION.LIKE),
+  });
+  const topicId = req.params.topicId;
+  const userId = req.authUser.userId.toString();
+  const actionTypeId = DISCOURSE_POST_ACTION_TYPES[params.type];
+
+  return db.topics.findOne({ where: { discourseTopicId: topicId } })
+    .then((dbTopic) => {
+      if (!dbTopic) {
+        throw new errors.HttpStatusError(404, 'Topic does not exist');
+      }
+      return discourseClient.getPost(userId, req.params.postId);
+    })
+    .then((post) => {
+      if (post.topic_id.toString() !== topicId.toString()) {
+        throw new errors.HttpStatusError(404, 'Post does not exist in the topic');
+      }
+      return react ? discourseClient.addPostAction(userId, req.params.postId, actionTypeId) :
+        discourseClient.removePostAction(userId, req.params.postId, actionTypeId);
+    })
+    .then((post) => {
+      logger.info(`Reaction ${params.type} ${react ? 'added to' : 'removed from'} post ${req.params.postId}`);
+      return adapter.adaptPost(post);
+    })
+    .then(post => resp.status(200).send(util.wrapResponse(req.id, post)))
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        error.response && error.response.status ? error.response.status : 500,
+        `Error ${react ? 'adding' : 'removing'} reaction`));
+    });
+};
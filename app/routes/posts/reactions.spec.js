@@ -0,0 +1,150 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import _ from 'lodash';
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+const request = require('supertest');
+const server = require('../../app');
+const axios = require('axios');
+const sinon = require('sinon');
+const postJson = require('../../tests/post.json');
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/posts/:postId/reactions ', () => {
+  const apiPath = '/v4/topics/1/posts/399/reactions';
+  const post = _.assign({}, postJson, { topic_id: 1 });
+  const likedPost = _.assign({}, post, { actions_summary: [{ id: 2, count: 3, acted: true }] });
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 400 response with an unknown reaction', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .send({ type: 'spam' })
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .post('/v4/topics/1000/posts/399/reactions')
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(404, done);
+  });
+
+  it('should return 404 response if the post belongs to another topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: postJson });
+    const postStub = sandbox.stub(axios, 'post');
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .send({ type: 'like' })
+      .expect(404)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.not.be.called();
+        return done();
+      });
+  });
+
+  it('should return 200 response and like the post', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: post });
+    const postStub = sandbox.stub(axios, 'post').resolves({ data: likedPost });
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .send({ type: 'like' })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.be.calledWith('/post_actions', { id: '399', post_action_type_id: 2 },
+          { params: { api_username: '40051331' } });
+        res.body.result.content.reactions.should.eql([{ type: 'like', count: 3, reacted: true }]);
+        return done();
+      });
+  });
+
+  it('should return the error status of discourse, e.g. when the post was already liked', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: post });
+    sandbox.stub(axios, 'post').rejects({ response: { status: 403 } });
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(403, done);
+  });
+});
+
+describe('DELETE /v4/topics/:topicId/posts/:postId/reactions ', () => {
+  const apiPath = '/v4/topics/1/posts/399/reactions';
+  const post = _.assign({}, postJson, { topic_id: 1 });
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .delete(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 404 response if the post belongs to another topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: postJson });
+    const deleteStub = sandbox.stub(axios, 'delete');
+    request(server)
+      .delete(apiPath)
+      .query({ type: 'like' })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(404)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        deleteStub.should.not.be.called();
+        return done();
+      });
+  });
+
+  it('should return 200 response and unlike the post', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: post });
+    const deleteStub = sandbox.stub(axios, 'delete').resolves({
+      data: _.assign({}, post, { actions_summary: [{ id: 2, count: 2, can_act: true }] }),
+    });
+    request(server)
+      .delete(apiPath)
+      .query({ type: 'like' })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        deleteStub.should.be.calledWith('/post_actions/399',
+          { params: { post_action_type_id: 2, api_username: '40051331' } });
+        res.body.result.content.reactions.should.eql([{ type: 'like', count: 2, reacted: false }]);
+        return done();
+      });
+  });
+});
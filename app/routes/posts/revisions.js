@@ -0,0 +1,51 @@
+const _ = require('lodash');
+const config = require('config');
+const util = require('tc-core-library-js').util(config);
+const Promise = require('bluebird');
+const Discourse = require('../../services/discourse');
+const errors = require('common-errors');
+const Joi = require('joi');
+const Adapter = require('../../services/adapter');
+
+/**
+ * Lists the revisions of a post in Discourse
+ * @param {Object} db sequelize db with models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  const logger = req.log;
+  const discourseClient = Discourse(logger);
+  const adapter = new Adapter(logger, db);
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+    postId: Joi.number().required(),
+  });
+  const topicId = req.params.topicId;
+  const postId = req.params.postId;
+  const userId = req.authUser.userId.toString();
+
+  return db.topics.findOne({ where: { discourseTopicId: topicId } })
+    .then((dbTopic) => {
+      if (!dbTopic) {
+        throw new errors.HttpStatusError(404, 'Topic does not exist');
+      }
+      return discourseClient.getPost(userId, postId);
+    })
+    .then((post) => {
+      if (post.topic_id.toString() !== topicId.toString()) {
+        throw new errors.HttpStatusError(404, 'Post does not exist in the topic');
+      }
+      // every edit of the post is a revision, numbered from 2 as the original post is version 1
+      return Promise.mapSeries(_.range(2, (post.version || 1) + 1),
+        revision => discourseClient.getPostRevision(userId, postId, revision));
+    })
+    .then(revisions => adapter.adaptPostRevisions(revisions))
+    .then(revisions => resp.status(200).send(util.wrapResponse(req.id, revisions, revisions.length)))
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        error.response && error.response.status ? error.response.status : 500, 'Error fetching post revisions'));
+    });
+};
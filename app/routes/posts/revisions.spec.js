@@ -0,0 +1,113 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import _ from 'lodash';
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+const request = require('supertest');
+const server = require('../../app');
+const axios = require('axios');
+const sinon = require('sinon');
+const postJson = require('../../tests/post.json');
+require('should-sinon');
+
+/**
+ * Builds a discourse post revision
+ * @param {Number} revision the revision number
+ * @return {Object} revision
+ */
+function buildRevision(revision) {
+  return {
+    post_id: 399,
+    current_revision: revision,
+    created_at: `2017-03-1${revision}T20:55:55.356Z`,
+    username: '40051331',
+    edit_reason: revision === 3 ? 'typo' : null,
+    body_changes: { inline: `<div class="inline-diff"><p>revision ${revision}</p></div>` },
+  };
+}
+
+describe('GET /v4/topics/:topicId/posts/:postId/revisions ', () => {
+  const apiPath = '/v4/topics/1/posts/399/revisions';
+  const post = _.assign({}, postJson, { topic_id: 1 });
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .get(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .get('/v4/topics/1000/posts/399/revisions')
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(404, done);
+  });
+
+  it('should return 404 response if the post belongs to another topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: postJson });
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(404, done);
+  });
+
+  it('should return an empty list for a post that was never edited', (done) => {
+    const getStub = sandbox.stub(axios, 'get').resolves({ data: post });
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.should.eql([]);
+        sinon.assert.calledOnce(getStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response with every revision of the post', (done) => {
+    const getStub = sandbox.stub(axios, 'get');
+    getStub.withArgs('/posts/399.json').resolves({ data: _.assign({}, post, { version: 3 }) });
+    getStub.withArgs('/posts/399/revisions/2.json').resolves({ data: buildRevision(2) });
+    getStub.withArgs('/posts/399/revisions/3.json').resolves({ data: buildRevision(3) });
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.metadata.totalCount.should.equal(2);
+        res.body.result.content.should.eql([2, 3].map(revision => ({
+          revision,
+          postId: 399,
+          date: `2017-03-1${revision}T20:55:55.356Z`,
+          userId: 40051331,
+          editReason: revision === 3 ? 'typo' : null,
+          diff: `<div class="inline-diff"><p>revision ${revision}</p></div>`,
+          titleDiff: null,
+        })));
+        return done();
+      });
+  });
+
+  it('should return the error status of discourse', (done) => {
+    sandbox.stub(axios, 'get').rejects({ response: { status: 403 } });
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(403, done);
+  });
+});
@@ -1,6 +1,6 @@
 /* eslint-disable no-unused-expressions, newline-per-chained-call */
 
-import { jwts } from '../../tests';
+import { clearDB, jwts } from '../../tests';
 
 const request = require('supertest');
 const server = require('../../app');
@@ -15,6 +15,8 @@ describe('POST /v4/topics/:topicId/posts/:postId/edit ', () => {
     post: 'test post',
   };
   let sandbox;
+  // posts are adapted with their attachments from the db
+  before(clearDB);
   beforeEach(() => {
     sandbox = sinon.sandbox.create();
   });
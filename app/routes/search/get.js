@@ -0,0 +1,112 @@
+import _ from 'lodash';
+import config from 'config';
+import Joi from 'joi';
+import Promise from 'bluebird';
+
+import Discourse from '../../services/discourse';
+import Adapter from '../../services/adapter';
+import { toList, tagsCondition, linksCondition } from '../topics/util';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Handles searching of topics and posts
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Searches titles and post bodies in Discourse as the current user, so that only the topics they participate
+   * in and the public topics are searched, and keeps the hits of the topics matching the reference, referenceId
+   * and tag filters. The pages of discourse results are searched until the limit of hits is reached.
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const adapter = new Adapter(logger, db);
+
+    // Validate request parameters
+    const listOfStrings = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()));
+    Joi.assert(req.query, {
+      q: Joi.string().trim().min(3).required(),
+      reference: Joi.string(),
+      referenceId: listOfStrings,
+      tag: listOfStrings,
+      author: Joi.number().integer(),
+      limit: Joi.number().integer().min(1).max(config.get('maxSearchResults')),
+    });
+    const userId = req.authUser.userId.toString();
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : config.get('maxSearchResults');
+    const maxPages = config.get('maxSearchPages');
+
+    // topics match the reference filters if any of their links does
+    const linksWhere = _.pick(req.query, ['reference']);
+    if (req.query.referenceId) {
+      linksWhere.referenceId = { $in: toList(req.query.referenceId) };
+    }
+    // topics are discourse private messages, or public topics of the public topics category, which discourse
+    // can't search at once. Author is matched by discourse as usernames are userIds.
+    const author = req.query.author ? ` @${req.query.author}` : '';
+    const terms = [
+      `${req.query.q} in:personal${author}`,
+      `${req.query.q} category:${config.get('publicTopics.categoryId')}${author}`,
+    ];
+
+    /**
+     * Keeps the hits of a page of discourse results whose topics match the filters
+     * @param {Object} searchResult page of discourse search results
+     * @param {Object} idCondition condition on the db id of the topics matching the filters, null without filters
+     * @return {Promise} promise resolving the hits
+     */
+    function filterHits(searchResult, idCondition) {
+      const topicIds = _.uniq(_.map(searchResult.posts, 'topic_id'));
+      if (topicIds.length === 0) {
+        return Promise.resolve([]);
+      }
+      const where = { discourseTopicId: { $in: topicIds } };
+      if (idCondition) {
+        where.id = idCondition;
+      }
+      return db.topics.findAll({ where, raw: true })
+        .then(pgTopics => adapter.adaptSearchResults(searchResult, pgTopics));
+    }
+
+    /**
+     * Searches the pages of discourse results until the limit of hits matching the filters is reached,
+     * there are no more results, or the maximum number of pages was searched
+     * @param {String} term search term
+     * @param {Object} idCondition condition on the db id of the topics matching the filters, null without filters
+     * @param {Number} page page of discourse results to search, from 1
+     * @param {Array} hits hits of the previous pages
+     * @return {Promise} promise resolving the hits
+     */
+    function searchPages(term, idCondition, page, hits) {
+      return discourseClient.search(userId, term, page)
+        .then(searchResult => filterHits(searchResult, idCondition)
+          .then((pageHits) => {
+            const allHits = hits.concat(pageHits);
+            const hasMore = _.get(searchResult, 'grouped_search_result.more_full_page_results', false);
+            if (allHits.length >= limit || !hasMore || page >= maxPages) {
+              return allHits;
+            }
+            return searchPages(term, idCondition, page + 1, allHits);
+          }));
+    }
+
+    return Promise.all([
+      _.isEmpty(linksWhere) ? null : linksCondition(db, linksWhere),
+      req.query.tag ? tagsCondition(db, toList(req.query.tag)) : null,
+    ])
+      .then((idConditions) => {
+        const ids = _.map(_.compact(idConditions), '$in');
+        const idCondition = ids.length > 0 ? { $in: _.intersection(...ids) } : null;
+        return Promise.map(terms, term => searchPages(term, idCondition, 1, []));
+      })
+      .then(termHits => _.take(_.uniqBy(_.flatten(termHits), 'postId'), limit))
+      .then(hits => resp.status(200).send(util.wrapResponse(req.id, hits, hits.length)))
+      .catch((error) => {
+        logger.error(error);
+        next(error);
+      });
+  };
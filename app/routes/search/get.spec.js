@@ -0,0 +1,198 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, createTopics, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const server = require('../../app');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('GET /v4/search', () => {
+  const apiPath = '/v4/search';
+  const searchResult = {
+    posts: [
+      [11, 1, 2, '40051331', '2017-03-14T20:55:55.356Z', 'the <span class="search-highlight">blue</span> theme'],
+      [21, 2, 1, '40051332', '2017-03-15T20:55:55.356Z', '<span class="search-highlight">blue</span> or red'],
+      [31, 3, 1, '40051332', '2017-03-16T20:55:55.356Z', 'not mapped <span class="search-highlight">blue</span>'],
+    ].map(([id, topicId, postNumber, username, createdAt, blurb]) => ({
+      id,
+      topic_id: topicId,
+      post_number: postNumber,
+      username,
+      created_at: createdAt,
+      blurb,
+    })),
+    topics: [
+      { id: 1, title: 'Theme' },
+      { id: 2, title: 'Colors' },
+      { id: 3, title: 'Not mapped' },
+    ],
+  };
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .get(apiPath)
+      .query({ q: 'blue' })
+      .expect(403, done);
+  });
+
+  it('should return 400 response without a search term', (done) => {
+    request(server)
+      .get(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(400, done);
+  });
+
+  describe('with topics', () => {
+    beforeEach(() => createTopics([{
+      id: 2,
+      reference: 'reference',
+      referenceId: 'referenceId2',
+      discourseTopicId: 2,
+      tag: 'MESSAGES',
+    }]));
+
+    it('should return 200 response with the hits of the mapped topics', (done) => {
+      const getStub = sandbox.stub(axios, 'get').resolves({ data: searchResult });
+      request(server)
+        .get(apiPath)
+        .query({ q: 'blue', author: 40051331 })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          getStub.should.be.calledWith('/search.json', {
+            params: { q: 'blue in:personal @40051331', include_blurbs: true, api_username: '40051331' },
+          });
+          res.body.result.metadata.totalCount.should.equal(2);
+          res.body.result.content[0].should.eql({
+            topicId: 1,
+            reference: 'reference',
+            referenceId: 'referenceId',
+            tag: 'tag',
+            title: 'Theme',
+            postId: 11,
+            postNumber: 2,
+            date: '2017-03-14T20:55:55.356Z',
+            userId: 40051331,
+            snippet: 'the <span class="search-highlight">blue</span> theme',
+          });
+          res.body.result.content[1].topicId.should.equal(2);
+          return done();
+        });
+    });
+
+    it('should return 200 response with the hits of the public topics', (done) => {
+      const getStub = sandbox.stub(axios, 'get').resolves({ data: { posts: [], topics: [] } });
+      getStub.withArgs('/search.json', sinon.match({ params: { q: 'blue category:1' } })).resolves({
+        data: { posts: [searchResult.posts[1]], topics: [searchResult.topics[1]] },
+      });
+      request(server)
+        .get(apiPath)
+        .query({ q: 'blue' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          getStub.should.be.calledWith('/search.json', {
+            params: { q: 'blue in:personal', include_blurbs: true, api_username: '40051331' },
+          });
+          res.body.result.content.map(hit => hit.topicId).should.eql([2]);
+          res.body.result.content[0].title.should.equal('Colors');
+          return done();
+        });
+    });
+
+    it('should return 200 response with the hits matching the filters', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: searchResult });
+      request(server)
+        .get(apiPath)
+        .query({ q: 'blue', reference: 'reference', referenceId: 'referenceId2,referenceId3', tag: 'MESSAGES' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.map(hit => hit.topicId).should.eql([2]);
+          return done();
+        });
+    });
+
+    it('should search the next pages of results until the limit of hits matching the filters is reached', (done) => {
+      const getStub = sandbox.stub(axios, 'get').callsFake((url, { params }) => {
+        if (params.q !== 'blue in:personal') {
+          return Promise.resolve({ data: { posts: [], topics: [] } });
+        }
+        const page = params.page || 1;
+        return Promise.resolve({
+          data: {
+            posts: [searchResult.posts[page - 1]],
+            topics: [searchResult.topics[page - 1]],
+            grouped_search_result: { more_full_page_results: page < 3 },
+          },
+        });
+      });
+      request(server)
+        .get(apiPath)
+        .query({ q: 'blue', reference: 'reference', referenceId: 'referenceId2', limit: 1 })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.map(hit => hit.topicId).should.eql([2]);
+          getStub.should.be.calledWith('/search.json', sinon.match({ params: { q: 'blue in:personal', page: 2 } }));
+          getStub.should.not.be.calledWith('/search.json', sinon.match({ params: { page: 3 } }));
+          return done();
+        });
+    });
+
+    it('should return 200 response with an empty list if nothing matches', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: { posts: [], topics: [] } });
+      request(server)
+        .get(apiPath)
+        .query({ q: 'green' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.should.eql([]);
+          return done();
+        });
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+import { USER_ROLE } from '../../constants';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Get the status of an asynchronous topic creation
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  // Validate request parameters
+  Joi.assert(req.params, {
+    jobId: Joi.number().required(),
+  });
+
+  return db.topicJobs.findOne({ where: { id: req.params.jobId }, raw: true })
+    .then((job) => {
+      // only the creator of the job, or an admin, can see it
+      const isAdmin = _.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN);
+      if (!job || (job.createdBy !== req.authUser.userId.toString() && !isAdmin)) {
+        throw new errors.HttpStatusError(404, 'Topic job does not exist');
+      }
+      return resp.status(200).send(util.wrapResponse(req.id, job));
+    })
+    .catch(err => next(err));
+};
@@ -0,0 +1,70 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+require('should-sinon');
+
+const request = require('supertest');
+const models = require('../../models');
+const server = require('../../app');
+
+describe('GET /v4/topic-jobs/:jobId', () => {
+  const apiPathPrefix = '/v4/topic-jobs/';
+  const apiPath = `${apiPathPrefix}1`;
+
+  beforeEach((done) => {
+    prepareDB(() => models.topicJobs.create({
+      id: 1,
+      status: 'failed',
+      reference: 'reference',
+      referenceId: 'referenceId',
+      error: 'Failed to create topic in Discourse',
+      createdBy: '40051331',
+    }).then(() => done()));
+  });
+  afterEach((done) => {
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .get(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 404 response if no matching job', (done) => {
+    request(server)
+      .get(`${apiPathPrefix}1000`)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(404, done);
+  });
+
+  it('should return 404 response if the job was created by another user', (done) => {
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.manager}` })
+      .expect(404, done);
+  });
+
+  it('should return 200 response with the job for its creator', (done) => {
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.status.should.equal('failed');
+        res.body.result.content.error.should.equal('Failed to create topic in Discourse');
+        return done();
+      });
+  });
+
+  it('should return 200 response with the job for an admin', (done) => {
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .expect(200, done);
+  });
+});
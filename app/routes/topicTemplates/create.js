@@ -0,0 +1,43 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import { USER_ROLE } from '../../constants';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Creates a topic template, there can be a single template per reference and tag
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  const logger = req.log;
+
+  // Validate request parameters
+  const params = Joi.attempt(req.body, {
+    reference: Joi.string().required(),
+    tag: Joi.string().required(),
+    title: Joi.string().required(),
+    body: Joi.string().required(),
+  });
+
+  if (!_.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+    return next(new errors.HttpStatusError(403, 'Only admins can manage topic templates'));
+  }
+
+  const userId = req.authUser.userId.toString();
+  return db.topicTemplates.create(_.assign({}, params, { createdBy: userId, updatedBy: userId }))
+    .then((template) => {
+      logger.info(`Topic template ${template.id} created`);
+      resp.status(200).send(util.wrapResponse(req.id, template.get({ plain: true })));
+    })
+    .catch((error) => {
+      logger.error(error);
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return next(new errors.HttpStatusError(409, 'A template already exists for the reference and tag'));
+      }
+      return next(new errors.HttpStatusError(500, 'Error creating topic template'));
+    });
+};
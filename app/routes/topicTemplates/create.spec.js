@@ -0,0 +1,83 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import _ from 'lodash';
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+require('should-sinon');
+
+const request = require('supertest');
+const models = require('../../models');
+const server = require('../../app');
+
+describe('POST /v4/topic-templates', () => {
+  const apiPath = '/v4/topic-templates';
+  const testBody = {
+    reference: 'project',
+    tag: 'PRIMARY',
+    title: 'Kickoff of {{name}}',
+    body: 'Welcome to {{name}}',
+  };
+
+  beforeEach((done) => {
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not an admin', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.manager}` })
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  _.each(['reference', 'tag', 'title', 'body'], (key) => {
+    it(`should return 400 response without ${key} parameter`, (done) => {
+      request(server)
+        .post(apiPath)
+        .set({ Authorization: `Bearer ${jwts.admin}` })
+        .send(_.omit(testBody, key))
+        .expect(400, done);
+    });
+  });
+
+  it('should return 200 response and create the template', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .send(testBody)
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.should.containEql(testBody);
+        res.body.result.content.createdBy.should.equal('40051333');
+        return models.topicTemplates.count({ where: { reference: 'project', tag: 'PRIMARY' } })
+          .then((count) => {
+            count.should.equal(1);
+            done();
+          }).catch(done);
+      });
+  });
+
+  it('should return 409 response if a template exists for the reference and tag', (done) => {
+    models.topicTemplates.create(testBody)
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({ Authorization: `Bearer ${jwts.admin}` })
+          .send(testBody)
+          .expect(409, done);
+      });
+  });
+});
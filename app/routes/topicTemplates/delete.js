@@ -0,0 +1,40 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import { USER_ROLE } from '../../constants';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Deletes a topic template, the topics created from it are kept
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  const logger = req.log;
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    templateId: Joi.number().required(),
+  });
+
+  if (!_.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+    return next(new errors.HttpStatusError(403, 'Only admins can manage topic templates'));
+  }
+
+  return db.topicTemplates.destroy({ where: { id: req.params.templateId } })
+    .then((count) => {
+      if (count === 0) {
+        throw new errors.HttpStatusError(404, 'Topic template does not exist');
+      }
+      logger.info(`Topic template ${req.params.templateId} deleted`);
+      resp.status(200).send(util.wrapResponse(req.id));
+    })
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        500, 'Error deleting topic template'));
+    });
+};
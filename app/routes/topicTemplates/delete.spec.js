@@ -0,0 +1,64 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+require('should-sinon');
+
+const request = require('supertest');
+const models = require('../../models');
+const server = require('../../app');
+
+describe('DELETE /v4/topic-templates/:templateId', () => {
+  const apiPathPrefix = '/v4/topic-templates/';
+  const apiPath = `${apiPathPrefix}1`;
+
+  beforeEach((done) => {
+    prepareDB(() => models.topicTemplates.create({
+      id: 1,
+      reference: 'project',
+      tag: 'PRIMARY',
+      title: 'Kickoff of {{name}}',
+      body: 'Welcome',
+    }).then(() => done()));
+  });
+  afterEach((done) => {
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .delete(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not an admin', (done) => {
+    request(server)
+      .delete(apiPath)
+      .set({ Authorization: `Bearer ${jwts.manager}` })
+      .expect(403, done);
+  });
+
+  it('should return 404 response if no matching template', (done) => {
+    request(server)
+      .delete(`${apiPathPrefix}1000`)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .expect(404, done);
+  });
+
+  it('should return 200 response and delete the template', (done) => {
+    request(server)
+      .delete(apiPath)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        return models.topicTemplates.count()
+          .then((count) => {
+            count.should.equal(0);
+            done();
+          }).catch(done);
+      });
+  });
+});
@@ -0,0 +1,26 @@
+import _ from 'lodash';
+import config from 'config';
+import Joi from 'joi';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Lists the topic templates
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  // Validate request parameters
+  Joi.assert(req.query, {
+    reference: Joi.string(),
+    tag: Joi.string(),
+  });
+
+  return db.topicTemplates.findAll({
+    where: _.pick(req.query, ['reference', 'tag']),
+    order: [['reference', 'ASC'], ['tag', 'ASC']],
+    raw: true,
+  })
+    .then(templates => resp.status(200).send(util.wrapResponse(req.id, templates, templates.length)))
+    .catch(err => next(err));
+};
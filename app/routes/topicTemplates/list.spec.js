@@ -0,0 +1,62 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+require('should-sinon');
+
+const request = require('supertest');
+const models = require('../../models');
+const server = require('../../app');
+
+describe('GET /v4/topic-templates', () => {
+  const apiPath = '/v4/topic-templates';
+
+  beforeEach((done) => {
+    prepareDB(() => models.topicTemplates.bulkCreate([
+      { reference: 'project', tag: 'PRIMARY', title: 'Kickoff of {{name}}', body: 'Welcome' },
+      { reference: 'project', tag: 'REQUIREMENTS', title: 'Requirements of {{name}}', body: 'Requirements' },
+      { reference: 'challenge', tag: 'PRIMARY', title: 'Forum of {{name}}', body: 'Questions' },
+    ]).then(() => done()));
+  });
+  afterEach((done) => {
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .get(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 200 response with all the templates', (done) => {
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.metadata.totalCount.should.equal(3);
+        res.body.result.content.map(template => template.reference)
+          .should.eql(['challenge', 'project', 'project']);
+        return done();
+      });
+  });
+
+  it('should return 200 response with the templates of the reference and tag', (done) => {
+    request(server)
+      .get(apiPath)
+      .query({ reference: 'project', tag: 'REQUIREMENTS' })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.length.should.equal(1);
+        res.body.result.content[0].title.should.equal('Requirements of {{name}}');
+        return done();
+      });
+  });
+});
@@ -0,0 +1,52 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import { USER_ROLE } from '../../constants';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Updates some of the fields of a topic template
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  const logger = req.log;
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    templateId: Joi.number().required(),
+  });
+  const params = Joi.attempt(req.body, Joi.object().keys({
+    reference: Joi.string(),
+    tag: Joi.string(),
+    title: Joi.string(),
+    body: Joi.string(),
+  }).or('reference', 'tag', 'title', 'body'));
+
+  if (!_.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+    return next(new errors.HttpStatusError(403, 'Only admins can manage topic templates'));
+  }
+
+  return db.topicTemplates.findOne({ where: { id: req.params.templateId } })
+    .then((template) => {
+      if (!template) {
+        throw new errors.HttpStatusError(404, 'Topic template does not exist');
+      }
+      return template.update(_.assign({}, params, { updatedBy: req.authUser.userId.toString() }));
+    })
+    .then((template) => {
+      logger.info(`Topic template ${template.id} updated`);
+      resp.status(200).send(util.wrapResponse(req.id, template.get({ plain: true })));
+    })
+    .catch((error) => {
+      logger.error(error);
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return next(new errors.HttpStatusError(409, 'A template already exists for the reference and tag'));
+      }
+      return next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        500, 'Error updating topic template'));
+    });
+};
@@ -0,0 +1,80 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+require('should-sinon');
+
+const request = require('supertest');
+const models = require('../../models');
+const server = require('../../app');
+
+describe('PATCH /v4/topic-templates/:templateId', () => {
+  const apiPathPrefix = '/v4/topic-templates/';
+  const apiPath = `${apiPathPrefix}1`;
+
+  beforeEach((done) => {
+    prepareDB(() => models.topicTemplates.bulkCreate([
+      { id: 1, reference: 'project', tag: 'PRIMARY', title: 'Kickoff of {{name}}', body: 'Welcome' },
+      { id: 2, reference: 'project', tag: 'REQUIREMENTS', title: 'Requirements of {{name}}', body: 'Requirements' },
+    ]).then(() => done()));
+  });
+  afterEach((done) => {
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .patch(apiPath)
+      .send({ title: 'title' })
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not an admin', (done) => {
+    request(server)
+      .patch(apiPath)
+      .set({ Authorization: `Bearer ${jwts.manager}` })
+      .send({ title: 'title' })
+      .expect(403, done);
+  });
+
+  it('should return 400 response without any field to update', (done) => {
+    request(server)
+      .patch(apiPath)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .send({})
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching template', (done) => {
+    request(server)
+      .patch(`${apiPathPrefix}1000`)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .send({ title: 'title' })
+      .expect(404, done);
+  });
+
+  it('should return 409 response if a template exists for the new reference and tag', (done) => {
+    request(server)
+      .patch(apiPath)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .send({ tag: 'REQUIREMENTS' })
+      .expect(409, done);
+  });
+
+  it('should return 200 response and only update the given fields', (done) => {
+    request(server)
+      .patch(apiPath)
+      .set({ Authorization: `Bearer ${jwts.admin}` })
+      .send({ title: 'Welcome to {{name}}' })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.title.should.equal('Welcome to {{name}}');
+        res.body.result.content.body.should.equal('Welcome');
+        res.body.result.content.updatedBy.should.equal('40051333');
+        return done();
+      });
+  });
+});
@@ -9,6 +9,10 @@ const HelperService = require('../../services/helper');
 const errors = require('common-errors');
 const Joi = require('joi');
 const Adapter = require('../../services/adapter');
+const idempotency = require('../../services/idempotency');
+const notificationLevels = require('../../services/notificationLevels');
+const { TOPIC_JOB_STATUS } = require('../../constants');
+const { renderTemplate, metadataSchema, saveTags, addLinks } = require('./util');
 
 
 const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
@@ -21,11 +25,15 @@ module.exports = db =>
 
   /**
    * Create a new topic for the specified entity.
+   *  - If a templateId is given, load the template, its title and body are rendered from the entity;
    *  - Verify if the user has access to the entity (userHasAccessToEntity function), if the user doesn't have access return 403;
+   *  - Verify the user has access to the other entities the topic should be linked to, if any;
    *  - Try to create a private message in Discourse (createPrivatePost in discourse.js);
    *  - If it fails, check if the user exists in Discourse, if the user doesn't exist, provision it, and try to create the private message again;
    *  - Set system, and the current user as the users in the post;
    *  - Return the newly created topic.
+   * With the async query parameter, the topic is created in the background and a topic job is returned
+   * right away (202), its status can be polled with GET /v4/topic-jobs/:jobId.
    * params: standard express parameters
    */
    (req, resp, next) => {
@@ -37,135 +45,277 @@ module.exports = db =>
      const params = req.body;
 
     // Validate request parameters
-     Joi.assert(params, {
+     // tag, title and body default to the ones of the template, tags replaces tag for several tags
+     const requiredWithoutTemplate = Joi.string().when('templateId', { is: Joi.exist(), otherwise: Joi.required() });
+     Joi.assert(params, Joi.object().keys({
        reference: Joi.string().required(),
        referenceId: Joi.string().required(),
-       tag: Joi.string().required(),
-       title: Joi.string().required(),
-       body: Joi.string().required(),
+       tag: params.tags ? Joi.any().forbidden() : requiredWithoutTemplate,
+       tags: Joi.array().items(Joi.string()).min(1),
+       title: requiredWithoutTemplate,
+       body: requiredWithoutTemplate,
+       isPublic: Joi.boolean(),
+       metadata: metadataSchema,
+       templateId: Joi.number().integer(),
+       links: Joi.array().items(Joi.object().keys({
+         reference: Joi.string().required(),
+         referenceId: Joi.string().required(),
+       })),
+     }));
+     const query = Joi.attempt(req.query, {
+       async: Joi.boolean().default(false),
      });
 
-     return helper.userHasAccessToEntity(req.authToken, req.id, params.reference, params.referenceId)
-      .then((hasAccessResp) => {
-        logger.info('Checking if user has access to identity');
-        const hasAccess = hasAccessResp[0];
-        if (!hasAccess) { throw new errors.HttpStatusError(403, 'User doesn\'t have access to the entity'); }
-        if (params.reference.toLowerCase() === 'project') {
-          const projectMembers = _.get(hasAccessResp[1], 'members', []);
-            // get users list
-          const topicUsers = _.map(projectMembers, member => member.userId.toString());
-          logger.debug(topicUsers);
-          return topicUsers;
+     /**
+      * Creates the topic in Discourse, a private message between the users or a public topic
+      * @param {Array} users ids of the users that should be part of a private topic
+      * @return {Promise} promise
+      */
+     function createDiscourseTopic(users) {
+       if (params.isPublic) {
+         return discourseClient.createPublicTopic(params.title, params.body,
+           config.get('publicTopics.categoryId'), req.authUser.userId.toString());
+       }
+       return discourseClient
+         .createPrivatePost(params.title, params.body, users.join(','), req.authUser.userId.toString());
+     }
+
+     /**
+      * Creates the topic in Discourse, provisioning its users if needed, and maps it to the entity in Postgres
+      * @param {Array} users ids of the users that should be part of the topic
+      * @return {Promise} promise resolving the adapted topic
+      */
+     function provisionTopic(users) {
+       logger.info('User has access to entity, creating topic in Discourse');
+       // add system user
+       users.push(DISCOURSE_SYSTEM_USERNAME);
+       logger.debug('Users that should be added to topic: ', users);
+       return createDiscourseTopic(users)
+         .then(response => response).catch((error) => {
+           // logger.debug('Error creating private post', error);
+           // logger.debug(error.response && error.response.status);
+           // logger.debug(error.response && error.response.data);
+           logger.info('Failed to create topic in Discourse');
+           logger.error(error);
+
+           // If 403 or 422, it is possible that the user simply hasn't been created in Discourse yet
+           if (error.response &&
+             (error.response.status === 500 || error.response.status === 403 || error.response.status === 422)) {
+             logger.info('Failed to create topic in Discourse, checking user exists in Discourse and provisioning');
+             const getUserPromises = _.map(users, (user) => {
+               if (user !== DISCOURSE_SYSTEM_USERNAME) {
+                 return helper.getUserOrProvision(user);
+               }
+               return new Promise.resolve(); // eslint-disable-line
+             });
+             return Promise.all(getUserPromises).then(() => {
+               logger.info('User(s) exists in Discourse, trying to create topic again');
+               return Promise.coroutine(function* a() {
+                 // createPrivatePost may fail again if called too soon. Trying over and over again until success or timeout
+                 const endTimeMs = new Date().getTime() + config.get('createTopicTimeout');
+                 const delayMs = config.get('createTopicRetryDelay');
+                 for (let i = 1; ; ++i) {
+                   try {
+                     logger.debug(`attempt number ${i}`);
+                     // We need update post body for subsequent tries, otherwise system user posts fail - DISCOURSE !
+                     params.body += ' ';
+                     return yield createDiscourseTopic(users);
+                   } catch (e) {
+                     if (e.response && (e.response.status === 403 || e.response.status === 422)) {
+                       logger.debug(`Failed to create create private post. (attempt #${i}, e: ${e})`);
+                       logger.debug(e.response && e.response.status);
+                       logger.debug(e.response && e.response.data);
+                       const timeLeftMs = endTimeMs - new Date().getTime();
+                       if (timeLeftMs > 0) {
+                         logger.info(`Create topic failed. Trying again after delay (${(timeLeftMs / 1000)} seconds\
+                          left until timeout).`);
+                         yield Promise.delay(delayMs);
+                         continue; // eslint-disable-line
+                       } else {
+                         throw new errors.HttpStatusError(500,
+                           'Timed out while trying to create a topic in Discourse');
+                       }
+                     }
+                     throw e;
+                   }
+                 }
+               })();
+             }).catch((err) => {
+               logger.debug('Some error', err);
+               logger.debug(err.response && err.response.status);
+               logger.debug(err.response && err.response.data);
+               throw err;
+             });
+           }
+           throw error;
+         }).catch((error) => {
+           logger.error('Failed to create topic', error);
+           if (error.status || (error.response && error.response.status)) {
+             const message = _.get(error, 'response.data.errors[0]') || error.message;
+             throw new errors.HttpStatusError(
+               error.status || error.response.status,
+               `Failed to create topic in Discourse: ${message}`);
+           }
+           throw new errors.HttpStatusError(500,
+             `Failed to create topic in Discourse: ${error.message}`);
+         })
+         .then((response) => {
+           logger.debug(response.data);
+
+           const pgTopic = db.topics.build({
+             reference: params.reference,
+             referenceId: params.referenceId,
+             discourseTopicId: response.data.topic_id,
+             tag: params.tag,
+             metadata: params.metadata,
+             isPublic: !!params.isPublic,
+             createdAt: new Date(),
+             createdBy: req.authUser.userId.toString(),
+             updatedAt: new Date(),
+             updatedBy: req.authUser.userId.toString(),
+           });
+
+           return pgTopic.save()
+           .then(() => saveTags(db, pgTopic, params.tags))
+           .then(() => addLinks(db, pgTopic, [_.pick(params, ['reference', 'referenceId'])].concat(params.links || []),
+             req.authUser.userId.toString()))
+           .then(() => {
+             logger.info('topic saved in Postgres');
+             return notificationLevels.applyReferenceDefaults(logger, db, discourseClient, pgTopic);
+           })
+           .then(() => response.data);
+         })
+         .then((topic) => {
+           logger.info('returning topic');
+           return discourseClient.getTopic(topic.topic_id, req.authUser.userId.toString())
+           .then((fTopic) => {
+             const fullTopic = fTopic;
+             fullTopic.tag = params.tag;
+             return adapter.adaptTopics(fullTopic).then((result) => {
+               if ((result instanceof Array) && result.length === 1) {
+                 result = result[0]; // eslint-disable-line
+               }
+               return result;
+             });
+           });
+         });
+     }
+
+     /**
+      * Creates a job that provisions the topic in the background, and responds with it right away
+      * @param {Array} users ids of the users that should be part of the topic
+      * @return {Promise} promise
+      */
+     function createTopicJob(users) {
+       return db.topicJobs.create({
+         status: TOPIC_JOB_STATUS.PENDING,
+         reference: params.reference,
+         referenceId: params.referenceId,
+         createdBy: req.authUser.userId.toString(),
+       }).then((job) => {
+         logger.info(`Created topic job ${job.id}, creating topic in the background`);
+         provisionTopic(users)
+           .then(topic => job.update({ status: TOPIC_JOB_STATUS.SUCCEEDED, topic }))
+           .catch((error) => {
+             logger.error(`Topic job ${job.id} failed`, error);
+             return job.update({ status: TOPIC_JOB_STATUS.FAILED, error: error.message });
+           })
+           .catch(error => logger.error(`Failed to update topic job ${job.id}`, error));
+
+         const content = job.get({ plain: true });
+         return idempotency.complete(req, job.id, content, 202)
+           .then(() => resp.status(202).send(util.wrapResponse(req.id, content, null, 202)));
+       });
+     }
+
+     /**
+      * Loads the template the topic should be created from, if any
+      * @return {Promise} promise resolving the template, or null
+      */
+     function loadTemplate() {
+       if (!params.templateId) {
+         return Promise.resolve(null);
+       }
+       return db.topicTemplates.findOne({ where: { id: params.templateId }, raw: true })
+         .then((template) => {
+           if (!template) { throw new errors.HttpStatusError(404, 'Topic template does not exist'); }
+           if (template.reference !== params.reference) {
+             throw new errors.HttpStatusError(400, 'Topic template is not defined for the reference');
+           }
+           return template;
+         });
+     }
+
+     /**
+      * Verifies the user can create the topic for the entity
+      * @return {Promise} promise resolving the ids of the users that should be part of the topic and the entity
+      */
+     function checkAccess() {
+       if (params.isPublic) {
+         return helper.userCanWriteToPublicTopics(req.authToken, req.id, req.authUser,
+           params.reference, params.referenceId)
+           .then((canWrite) => {
+             if (!canWrite) {
+               throw new errors.HttpStatusError(403, 'User can\'t create public topics for the entity');
+             }
+             // anyone can read a public topic, only its creator is added to it
+             return [[req.authUser.userId.toString()], null];
+           });
+       }
+       return helper.userHasAccessToEntity(req.authToken, req.id, params.reference, params.referenceId)
+         .then((hasAccessResp) => {
+           logger.info('Checking if user has access to identity');
+           const hasAccess = hasAccessResp[0];
+           if (!hasAccess) { throw new errors.HttpStatusError(403, 'User doesn\'t have access to the entity'); }
+           if (params.reference.toLowerCase() === 'project') {
+             const projectMembers = _.get(hasAccessResp[1], 'members', []);
+             // get users list
+             const topicUsers = _.map(projectMembers, member => member.userId.toString());
+             logger.debug(topicUsers);
+             return [topicUsers, hasAccessResp[1]];
+           }
+           return [[req.authUser.userId.toString()], hasAccessResp[1]];
+         });
+     }
+
+     /**
+      * Verifies the user has access to all the other entities the topic should be linked to
+      * @return {Promise} promise
+      */
+     function checkLinksAccess() {
+       return Promise.each(params.links || [], link => helper
+         .userHasAccessToEntity(req.authToken, req.id, link.reference, link.referenceId)
+         .then((hasAccessResp) => {
+           if (!hasAccessResp[0]) {
+             throw new errors.HttpStatusError(403,
+               `User doesn't have access to the linked entity ${link.reference} ${link.referenceId}`);
+           }
+         }));
+     }
+
+     return loadTemplate()
+      .then(template => checkAccess()
+        .then(result => checkLinksAccess().then(() => result))
+        .then(([users, entity]) => {
+          if (template) {
+            // explicit parameters take precedence over the template
+            const context = _.assign({}, entity, _.pick(params, ['reference', 'referenceId']));
+            params.tag = params.tag || template.tag;
+            params.title = params.title || renderTemplate(template.title, context);
+            params.body = params.body || renderTemplate(template.body, context);
+          }
+          // the first tag is the primary tag of the topic
+          params.tags = _.uniq(params.tags || [params.tag]);
+          params.tag = params.tags[0];
+          return users;
+        }))
+      .then((users) => {
+        if (!query.async) {
+          return provisionTopic(users)
+            .then(result => idempotency.complete(req, result.id, result)
+              .then(() => resp.status(200).send(util.wrapResponse(req.id, result))));
         }
-        return new Promise.resolve([req.authUser.userId.toString()]); // eslint-disable-line
-      }).then((users) => {
-        logger.info('User has access to entity, creating topic in Discourse');
-        // add system user
-        users.push(DISCOURSE_SYSTEM_USERNAME);
-        logger.debug('Users that should be added to topic: ', users);
-        return discourseClient
-          .createPrivatePost(params.title, params.body, users.join(','), req.authUser.userId.toString())
-          .then(response => response).catch((error) => {
-            // logger.debug('Error creating private post', error);
-            // logger.debug(error.response && error.response.status);
-            // logger.debug(error.response && error.response.data);
-            logger.info('Failed to create topic in Discourse');
-            logger.error(error);
-
-            // If 403 or 422, it is possible that the user simply hasn't been created in Discourse yet
-            if (error.response &&
-              (error.response.status === 500 || error.response.status === 403 || error.response.status === 422)) {
-              logger.info('Failed to create topic in Discourse, checking user exists in Discourse and provisioning');
-              const getUserPromises = _.map(users, (user) => {
-                if (user !== DISCOURSE_SYSTEM_USERNAME) {
-                  return helper.getUserOrProvision(user);
-                }
-                return new Promise.resolve(); // eslint-disable-line
-              });
-              return Promise.all(getUserPromises).then(() => {
-                logger.info('User(s) exists in Discourse, trying to create topic again');
-                return Promise.coroutine(function* a() {
-                  // createPrivatePost may fail again if called too soon. Trying over and over again until success or timeout
-                  const endTimeMs = new Date().getTime() + config.get('createTopicTimeout');
-                  const delayMs = config.get('createTopicRetryDelay');
-                  for (let i = 1; ; ++i) {
-                    try {
-                      logger.debug(`attempt number ${i}`);
-                      // We need update post body for subsequent tries, otherwise system user posts fail - DISCOURSE !
-                      params.body += ' ';
-                      return yield discourseClient
-                        .createPrivatePost(params.title, params.body, users.join(','), req.authUser.userId.toString());
-                    } catch (e) {
-                      if (e.response && (e.response.status === 403 || e.response.status === 422)) {
-                        logger.debug(`Failed to create create private post. (attempt #${i}, e: ${e})`);
-                        logger.debug(e.response && e.response.status);
-                        logger.debug(e.response && e.response.data);
-                        const timeLeftMs = endTimeMs - new Date().getTime();
-                        if (timeLeftMs > 0) {
-                          logger.info(`Create topic failed. Trying again after delay (${(timeLeftMs / 1000)} seconds\
-                           left until timeout).`);
-                          yield Promise.delay(delayMs);
-                          continue; // eslint-disable-line
-                        } else {
-                          throw new errors.HttpStatusError(500,
-                            'Timed out while trying to create a topic in Discourse');
-                        }
-                      }
-                      throw e;
-                    }
-                  }
-                })();
-              }).catch((err) => {
-                logger.debug('Some error', err);
-                logger.debug(err.response && err.response.status);
-                logger.debug(err.response && err.response.data);
-                throw err;
-              });
-            }
-            throw error;
-          }).catch((error) => {
-            logger.error('Failed to create topic', error);
-            if (error.status || (error.response && error.response.status)) {
-              const message = _.get(error, 'response.data.errors[0]') || error.message;
-              throw new errors.HttpStatusError(
-                error.status || error.response.status,
-                `Failed to create topic in Discourse: ${message}`);
-            }
-            throw new errors.HttpStatusError(500,
-              `Failed to create topic in Discourse: ${error.message}`);
-          });
-      }).then((response) => {
-        logger.debug(response.data);
-
-        const pgTopic = db.topics.build({
-          reference: params.reference,
-          referenceId: params.referenceId,
-          discourseTopicId: response.data.topic_id,
-          tag: params.tag,
-          createdAt: new Date(),
-          createdBy: req.authUser.userId.toString(),
-          updatedAt: new Date(),
-          updatedBy: req.authUser.userId.toString(),
-        });
-
-        return pgTopic.save().then(() => {
-          logger.info('topic saved in Postgres');
-          return response.data;
-        });
-      })
-      .then((topic) => {
-        logger.info('returning topic');
-        return discourseClient.getTopic(topic.topic_id, req.authUser.userId.toString())
-        .then((fTopic) => {
-          const fullTopic = fTopic;
-          fullTopic.tag = params.tag;
-          return adapter.adaptTopics(fullTopic).then((result) => {
-            if ((result instanceof Array) && result.length === 1) {
-              result = result[0]; // eslint-disable-line
-            }
-            return resp.status(200).send(util.wrapResponse(req.id, result));
-          });
-        });
+        return createTopicJob(users);
       })
       .catch(error => next(error));
    };
@@ -3,16 +3,17 @@
 
 import _ from 'lodash';
 import config from 'config';
-import { clearDB, prepareDB, jwts } from '../../tests';
+import { clearDB, prepareDB, waitFor, jwts } from '../../tests';
 
 require('should-sinon');
 
 const request = require('supertest');
+const models = require('../../models');
 const server = require('../../app');
 const axios = require('axios');
 const sinon = require('sinon');
 
-// const topicJson = require('../../tests/topic.json');
+const topicJson = require('../../tests/topic.json');
 
 const username = 'test1';
 
@@ -481,4 +482,461 @@ describe('POST /v4/topics ', () => {
         return done();
       });
   });
+
+  it('should not create the topic twice for a repeated Idempotency-Key', (done) => {
+    sandbox.stub(axios, 'get').callsFake((url) => {
+      if (url === '/t/2.json') {
+        return Promise.resolve({ data: topicJson });
+      }
+      return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+    });
+    const postStub = sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+    const createTopic = (cb) => {
+      request(server)
+        .post(apiPath)
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+          'Idempotency-Key': 'key',
+        })
+        .send(testBody)
+        .expect(200)
+        .end(cb);
+    };
+
+    // the fixture topic was inserted with an explicit id, remove it so the new topic can take that id
+    models.topics.truncate({ cascade: true, force: true }).then(() => createTopic((err, res) => {
+      if (err) {
+        return done(err);
+      }
+      return createTopic((err2, res2) => {
+        if (err2) {
+          return done(err2);
+        }
+        sinon.assert.calledOnce(postStub);
+        res2.body.result.content.should.eql(res.body.result.content);
+        return done();
+      });
+    }));
+  });
+
+  it('should return 202 response with a job and create the topic in the background when async', (done) => {
+    sandbox.stub(axios, 'get').callsFake((url) => {
+      if (url === '/t/2.json') {
+        return Promise.resolve({ data: topicJson });
+      }
+      return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+    });
+    sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+    // the fixture topic was inserted with an explicit id, remove it so the new topic can take that id
+    models.topics.truncate({ cascade: true, force: true }).then(() => {
+      request(server)
+        .post(apiPath)
+        .query({ async: true })
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(testBody)
+        .expect(202)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          const job = res.body.result.content;
+          job.status.should.equal('pending');
+          // wait for the background creation to complete
+          return waitFor(() => models.topicJobs.findById(job.id)
+              .then(updatedJob => updatedJob.status !== 'pending' && updatedJob))
+            .then((updatedJob) => {
+              updatedJob.status.should.equal('succeeded');
+              updatedJob.topic.id.should.equal(topicJson.id);
+              return models.topics.count({ where: { discourseTopicId: 2 } });
+            })
+            .then((count) => {
+              count.should.equal(1);
+              done();
+            })
+            .catch(done);
+        });
+    });
+  });
+
+  it('should return 202 response with the current state of the job for a repeated async Idempotency-Key', (done) => {
+    sandbox.stub(axios, 'get').callsFake((url) => {
+      if (url === '/t/2.json') {
+        return Promise.resolve({ data: topicJson });
+      }
+      return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+    });
+    const postStub = sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+    const createTopic = (cb) => {
+      request(server)
+        .post(apiPath)
+        .query({ async: true })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+          'Idempotency-Key': 'key',
+        })
+        .send(testBody)
+        .expect(202)
+        .end(cb);
+    };
+
+    // the fixture topic was inserted with an explicit id, remove it so the new topic can take that id
+    models.topics.truncate({ cascade: true, force: true }).then(() => createTopic((err, res) => {
+      if (err) {
+        return done(err);
+      }
+      const job = res.body.result.content;
+      // wait for the background creation to complete
+      return waitFor(() => models.topicJobs.findById(job.id).then(updatedJob => updatedJob.status !== 'pending'))
+        .then(() => createTopic((err2, res2) => {
+          if (err2) {
+            return done(err2);
+          }
+          sinon.assert.calledOnce(postStub);
+          res2.body.result.status.should.equal(202);
+          res2.body.result.content.id.should.equal(job.id);
+          res2.body.result.content.status.should.equal('succeeded');
+          return done();
+        }))
+        .catch(done);
+    }));
+  });
+
+  it('should return 403 response without creating a job when async and user has no access', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { result: {} } });
+    request(server)
+      .post(apiPath)
+      .query({ async: true })
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .send(testBody)
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        return models.topicJobs.count().then((count) => {
+          count.should.equal(0);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should apply the default notification levels of the reference to the new topic', (done) => {
+    sandbox.stub(axios, 'get').callsFake((url) => {
+      if (url === '/t/2.json') {
+        return Promise.resolve({ data: topicJson });
+      }
+      return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+    });
+    const postStub = sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+    // the fixture topic was inserted with an explicit id, remove it so the new topic can take that id
+    models.topics.truncate({ cascade: true, force: true })
+      .then(() => models.notificationLevels.create({
+        userId: '40051332',
+        reference: 'reference',
+        referenceId: '1',
+        level: 'muted',
+      }))
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({ Authorization: `Bearer ${jwts.member}` })
+          .send(testBody)
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            postStub.should.be.calledWith('/t/2/notifications', { notification_level: 0 },
+              { params: { api_username: '40051332' } });
+            return done();
+          });
+      });
+  });
+
+  describe('public topics', () => {
+    it('should create a public topic in the configured category for a reference without lookup', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: topicJson });
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+      models.topics.truncate({ cascade: true, force: true })
+        .then(() => {
+          request(server)
+            .post(apiPath)
+            .set({ Authorization: `Bearer ${jwts.member}` })
+            .send(_.assign({}, testBody2, { isPublic: true }))
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                return done(err);
+              }
+              postStub.should.be.calledWith('/posts', sinon.match({
+                category: config.get('publicTopics.categoryId'),
+                title: testBody2.title,
+              }));
+              return models.topics.findOne({ where: { discourseTopicId: 2 } })
+                .then((topic) => {
+                  topic.isPublic.should.be.true;
+                  done();
+                }).catch(done);
+            });
+        });
+    });
+
+    it('should return 403 response if user does not have access to a reference with lookup', (done) => {
+      sandbox.stub(axios, 'get').rejects({});
+      const postStub = sandbox.stub(axios, 'post');
+      request(server)
+        .post(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(_.assign({}, testBody, { isPublic: true }))
+        .expect(403)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          postStub.should.not.be.called();
+          return done();
+        });
+    });
+  });
+
+  describe('from a template', () => {
+    const templateBody = {
+      reference: 'reference',
+      referenceId: '1',
+      templateId: 1,
+    };
+
+    beforeEach(() => models.topicTemplates.create({
+      id: 1,
+      reference: 'reference',
+      tag: 'PRIMARY',
+      title: 'Kickoff of {{name}}',
+      body: 'Welcome to {{ name }} ({{referenceId}}), phase: {{details.phase}}{{missing}}',
+    }));
+
+    it('should return 404 response if the template does not exist', (done) => {
+      const postStub = sandbox.stub(axios, 'post');
+      request(server)
+        .post(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(_.assign({}, templateBody, { templateId: 2 }))
+        .expect(404)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          postStub.should.not.be.called();
+          return done();
+        });
+    });
+
+    it('should return 400 response if the template is defined for another reference', (done) => {
+      request(server)
+        .post(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(_.assign({}, templateBody, { reference: 'other' }))
+        .expect(400, done);
+    });
+
+    it('should return 400 response without title when there is no template', (done) => {
+      request(server)
+        .post(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(_.omit(testBody, ['title']))
+        .expect(400, done);
+    });
+
+    it('should render the title and body of the template from the entity', (done) => {
+      sandbox.stub(axios, 'get').callsFake((url) => {
+        if (url === '/t/2.json') {
+          return Promise.resolve({ data: topicJson });
+        }
+        return Promise.resolve({
+          data: { result: { status: 200, content: { name: 'Project X', details: { phase: 'design' } } } },
+        });
+      });
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+      models.topics.truncate({ cascade: true, force: true })
+        .then(() => {
+          request(server)
+            .post(apiPath)
+            .set({ Authorization: `Bearer ${jwts.member}` })
+            .send(templateBody)
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                return done(err);
+              }
+              postStub.should.be.calledWith('/posts', sinon.match({
+                title: 'Kickoff of Project X',
+                raw: 'Welcome to Project X (1), phase: design',
+              }));
+              return models.topics.findOne({ where: { discourseTopicId: 2 } })
+                .then((topic) => {
+                  topic.tag.should.equal('PRIMARY');
+                  done();
+                }).catch(done);
+            });
+        });
+    });
+
+    it('should use the explicit parameters over the template', (done) => {
+      sandbox.stub(axios, 'get').callsFake((url) => {
+        if (url === '/t/2.json') {
+          return Promise.resolve({ data: topicJson });
+        }
+        return Promise.resolve({ data: { result: { status: 200, content: { name: 'Project X' } } } });
+      });
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+      models.topics.truncate({ cascade: true, force: true })
+        .then(() => {
+          request(server)
+            .post(apiPath)
+            .set({ Authorization: `Bearer ${jwts.member}` })
+            .send(_.assign({}, templateBody, { title: 'Custom title', tag: 'tag' }))
+            .expect(200)
+            .end((err) => {
+              if (err) {
+                return done(err);
+              }
+              postStub.should.be.calledWith('/posts', sinon.match({
+                title: 'Custom title',
+                raw: 'Welcome to Project X (1), phase: ',
+              }));
+              return models.topics.findOne({ where: { discourseTopicId: 2 } })
+                .then((topic) => {
+                  topic.tag.should.equal('tag');
+                  done();
+                }).catch(done);
+            });
+        });
+    });
+  });
+
+  it('should save the metadata of the topic', (done) => {
+    sandbox.stub(axios, 'get').callsFake((url) => {
+      if (url === '/t/2.json') {
+        return Promise.resolve({ data: Object.assign({}, topicJson, { id: 2 }) });
+      }
+      return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+    });
+    sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+    models.topics.truncate({ cascade: true, force: true })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({ Authorization: `Bearer ${jwts.member}` })
+          .send(_.assign({}, testBody, { metadata: { phaseId: 12, deliverable: 'design' } }))
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            res.body.result.content.metadata.should.eql({ phaseId: 12, deliverable: 'design' });
+            return models.topics.findOne({ where: { discourseTopicId: 2 } })
+              .then((topic) => {
+                topic.metadata.should.eql({ phaseId: 12, deliverable: 'design' });
+                done();
+              }).catch(done);
+          });
+      });
+  });
+
+  it('should return 400 response with both tag and tags', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .send(_.assign({}, testBody, { tags: ['DESIGN'] }))
+      .expect(400, done);
+  });
+
+  it('should save the tags of the topic, the first one as its primary tag', (done) => {
+    sandbox.stub(axios, 'get').callsFake((url) => {
+      if (url === '/t/2.json') {
+        return Promise.resolve({ data: Object.assign({}, topicJson, { id: 2 }) });
+      }
+      return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+    });
+    sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+    models.topics.truncate({ cascade: true, force: true })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({ Authorization: `Bearer ${jwts.member}` })
+          .send(_.assign(_.omit(testBody, 'tag'), { tags: ['MESSAGES', 'DESIGN', 'MESSAGES'] }))
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            res.body.result.content.tag.should.equal('MESSAGES');
+            res.body.result.content.tags.should.eql(['MESSAGES', 'DESIGN']);
+            return models.topics.findOne({ where: { discourseTopicId: 2 } })
+              .then((topic) => {
+                topic.tag.should.equal('MESSAGES');
+                return models.topicTags.count({ where: { topicId: topic.id } });
+              })
+              .then((count) => {
+                count.should.equal(2);
+                done();
+              }).catch(done);
+          });
+      });
+  });
+
+  describe('with links', () => {
+    const links = [{ reference: 'reference', referenceId: 'other' }, { reference: 'reference', referenceId: 'other2' }];
+
+    it('should return 403 response if user does not have access to a linked entity', (done) => {
+      sandbox.stub(axios, 'get').callsFake((url) => {
+        if (/other$/.test(url)) {
+          return Promise.reject({});
+        }
+        return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+      });
+      const postStub = sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+      request(server)
+        .post(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .send(_.assign({}, testBody, { links }))
+        .expect(403)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          sinon.assert.notCalled(postStub);
+          return done();
+        });
+    });
+
+    it('should link the topic to its reference and the other entities', (done) => {
+      sandbox.stub(axios, 'get').callsFake((url) => {
+        if (url === '/t/2.json') {
+          return Promise.resolve({ data: Object.assign({}, topicJson, { id: 2 }) });
+        }
+        return Promise.resolve({ data: { result: { status: 200, content: {} } } });
+      });
+      sandbox.stub(axios, 'post').resolves({ data: { topic_id: 2 } });
+      models.topics.truncate({ cascade: true, force: true })
+        .then(() => {
+          request(server)
+            .post(apiPath)
+            .set({ Authorization: `Bearer ${jwts.member}` })
+            .send(_.assign({}, testBody, { links }))
+            .expect(200)
+            .end((err, res) => {
+              if (err) {
+                return done(err);
+              }
+              const expectedLinks = [_.pick(testBody, ['reference', 'referenceId'])].concat(links);
+              res.body.result.content.links.should.eql(expectedLinks);
+              return models.topicLinks.findAll({ order: [['id', 'ASC']], raw: true })
+                .then((topicLinks) => {
+                  topicLinks.map(link => _.pick(link, ['reference', 'referenceId'])).should.eql(expectedLinks);
+                  done();
+                }).catch(done);
+            });
+        });
+    });
+  });
 });
@@ -1,13 +1,18 @@
 
+const _ = require('lodash');
 const config = require('config');
 const util = require('tc-core-library-js').util(config);
 const Discourse = require('../../services/discourse');
 const errors = require('common-errors');
 const Joi = require('joi');
 const Promise = require('bluebird');
+const { USER_ROLE } = require('../../constants');
 
 /**
  * Delete a topic from Discourse and Postgresql
+ * With the soft query parameter, the topic is only marked as deleted in Postgresql and can be restored,
+ * only its creator and admins can soft delete it.
+ * with the force query parameter admins can delete topics that have comments, or purge soft deleted topics.
  * @param {Object} db sequelize db with all models loaded
  * @return {object} response
  */
@@ -19,10 +24,18 @@ module.exports = db => (req, resp, next) => {
   Joi.assert(req.params, {
     topicId: Joi.number().required(),
   });
+  const query = Joi.attempt(req.query, {
+    soft: Joi.boolean().default(false),
+    force: Joi.boolean().default(false),
+  });
   const topicId = req.params.topicId;
   const username = req.authUser.userId.toString();
+
+  if (query.force && !_.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+    return next(new errors.HttpStatusError(403, 'Only admins can force delete topics'));
+  }
   const promises = [
-    db.topics.findOne({ where: { discourseTopicId: topicId } }),
+    db.topics.findOne({ where: { discourseTopicId: topicId }, paranoid: false }),
     discourseClient.getTopic(topicId, username).catch((error) => {
       if (error.response && error.response.status && error.response.status === 410) {
         // 410, already deleted from discourse
@@ -38,7 +51,21 @@ module.exports = db => (req, resp, next) => {
     if (!dbTopic && !topic) {
       throw new errors.HttpStatusError(404, 'Topic does not exist');
     }
-    if (topic && topic.post_stream && topic.post_stream.posts && topic.post_stream.posts.length > 1) {
+    // soft deleted topics do not exist for anyone but admins purging them
+    if (dbTopic && dbTopic.deletedAt && !query.force) {
+      throw new errors.HttpStatusError(404, 'Topic does not exist');
+    }
+    if (query.soft) {
+      if (!dbTopic) {
+        throw new errors.HttpStatusError(404, 'Topic does not exist');
+      }
+      if (dbTopic.createdBy !== username && !_.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+        throw new errors.HttpStatusError(403, 'Only the creator of the topic and admins can delete it');
+      }
+      // the topic is kept in discourse so that it can be restored
+      return dbTopic.update({ deletedBy: username }).then(() => dbTopic.destroy());
+    }
+    if (!query.force && topic && topic.post_stream && topic.post_stream.posts && topic.post_stream.posts.length > 1) {
       throw new errors.HttpStatusError(422, 'Topic has comments and can not be deleted');
     }
     const deletePromises = [];
@@ -48,7 +75,7 @@ module.exports = db => (req, resp, next) => {
       logger.warn('Topic does not exist in discourse, maybe already deleted');
     }
     if (dbTopic) {
-      deletePromises.push(dbTopic.destroy());
+      deletePromises.push(dbTopic.destroy({ force: true }));
     } else {
       logger.warn('Topic does not exist in postgresql, maybe already deleted');
     }
@@ -205,4 +205,167 @@ describe('DELETE /v4/topics/:topicId ', () => {
               return done();
             });
   });
+
+  it('should return 200 response and soft delete the topic', (done) => {
+    const topicHasComments = _.cloneDeep(topicJson);
+    topicHasComments.post_stream.posts = [topicHasComments.post_stream.posts[0], topicHasComments.post_stream.posts[0]];
+    sandbox.stub(axios, 'get')
+      .withArgs('/t/1.json').resolves({ data: topicHasComments });
+    const deleteStub = sandbox.stub(axios, 'delete').resolves({});
+    request(server)
+      .delete(apiPath)
+      .query({ soft: true })
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(deleteStub);
+        return Promise.all([
+          models.topics.findAll(),
+          models.topics.findAll({ paranoid: false }),
+        ]).then(([topics, allTopics]) => {
+          topics.should.length(0);
+          allTopics.should.length(1);
+          allTopics[0].deletedBy.should.equal('40051333');
+          allTopics[0].deletedAt.should.be.instanceof(Date);
+          return done();
+        }).catch(done);
+      });
+  });
+
+  it('should return 403 response if a user who did not create the topic soft deletes it', (done) => {
+    sandbox.stub(axios, 'get').withArgs('/t/1.json').resolves({ data: topicJson });
+    request(server)
+      .delete(apiPath)
+      .query({ soft: true })
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        return models.topics.count().then((count) => {
+          count.should.equal(1);
+          return done();
+        }).catch(done);
+      });
+  });
+
+  it('should return 200 response when the creator of the topic soft deletes it', (done) => {
+    sandbox.stub(axios, 'get').withArgs('/t/1.json').resolves({ data: topicJson });
+    models.topics.update({ createdBy: '40051331' }, { where: { id: 1 } }).then(() => {
+      request(server)
+        .delete(apiPath)
+        .query({ soft: true })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200, done);
+    }).catch(done);
+  });
+
+  it('should return 403 response if non admin user force deletes the topic', (done) => {
+    request(server)
+      .delete(apiPath)
+      .query({ force: true })
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(403, done);
+  });
+
+  it('should return 200 response and delete the topic with comments when forced by admin', (done) => {
+    const topicHasComments = _.cloneDeep(topicJson);
+    topicHasComments.post_stream.posts = [topicHasComments.post_stream.posts[0], topicHasComments.post_stream.posts[0]];
+    sandbox.stub(axios, 'get')
+      .withArgs('/t/1.json').resolves({ data: topicHasComments });
+    const deleteStub = sandbox.stub(axios, 'delete').resolves({});
+    request(server)
+      .delete(apiPath)
+      .query({ force: true })
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.calledOnce(deleteStub);
+        return models.topics.findAll({ paranoid: false }).then((topics) => {
+          topics.should.length(0);
+          return done();
+        }).catch(done);
+      });
+  });
+
+  it('should return 404 response if a non admin user deletes a soft deleted topic', (done) => {
+    sandbox.stub(axios, 'get').withArgs('/t/1.json').resolves({ data: topicJson });
+    const deleteStub = sandbox.stub(axios, 'delete').resolves({});
+    models.topics.update({ createdBy: '40051331' }, { where: { id: 1 } })
+      .then(() => models.topics.destroy({ where: { id: 1 } }))
+      .then(() => {
+        request(server)
+          .delete(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+          })
+          .expect(404)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            sinon.assert.notCalled(deleteStub);
+            return models.topics.count({ paranoid: false }).then((count) => {
+              count.should.equal(1);
+              return done();
+            }).catch(done);
+          });
+      }).catch(done);
+  });
+
+  it('should purge a soft deleted topic when force deleted by admin so that it can not be restored', (done) => {
+    sandbox.stub(axios, 'get').withArgs('/t/1.json').resolves({ data: topicJson });
+    const deleteStub = sandbox.stub(axios, 'delete').resolves({});
+    request(server)
+      .delete(apiPath)
+      .query({ soft: true })
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .expect(200)
+      .end((softErr) => {
+        if (softErr) {
+          return done(softErr);
+        }
+        return request(server)
+          .delete(apiPath)
+          .query({ force: true })
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .expect(200)
+          .end((forceErr) => {
+            if (forceErr) {
+              return done(forceErr);
+            }
+            sinon.assert.calledOnce(deleteStub);
+            return models.topics.count({ paranoid: false }).then((count) => {
+              count.should.equal(0);
+              request(server)
+                .post(`${apiPath}/restore`)
+                .set({
+                  Authorization: `Bearer ${jwts.admin}`,
+                })
+                .expect(404, done);
+            }).catch(done);
+          });
+      });
+  });
 });
@@ -1,9 +1,12 @@
+import _ from 'lodash';
 import errors from 'common-errors';
 import config from 'config';
+import Joi from 'joi';
 
 import Discourse from '../../services/discourse';
 import Adapter from '../../services/adapter';
-import { retrieveTopic } from './util';
+import { retrieveTopic, threadPosts, bodyFormatQuery, bodyOptions } from './util';
+import { USER_ROLE } from '../../constants';
 
 const util = require('tc-core-library-js').util(config);
 
@@ -21,6 +24,8 @@ module.exports = db =>
    *  - Checks if a user exists in Discourse, if not, it creates one
    *  - Checks if a topic associated with this entity exists in Discourse, if not creates one
    *  - If the topic already exists, checks if the user has access, if not gives access
+   * With view=threaded, the posts are nested under the posts they reply to.
+   * The format and bodies parameters select the formats of the bodies of the posts.
    * params: standard express parameters
    */
   (req, resp, next) => {
@@ -30,22 +35,33 @@ module.exports = db =>
     const adapter = new Adapter(logger, db);
     const topicId = req.params.topicId;
 
+    // Validate request parameters, other parameters sent by legacy clients are ignored
+    const query = Joi.attempt(req.query, Joi.object().keys(_.assign({
+      includeDeleted: Joi.boolean().default(false),
+      markRead: Joi.boolean().default(true),
+      view: Joi.string().valid('flat', 'threaded'),
+    }, bodyFormatQuery)).unknown());
+    const options = bodyOptions(query);
+    // Soft deleted topics are only returned to admins who ask for them
+    const paranoid = !(query.includeDeleted && _.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN));
+
     // Get topic from the Postgres database
 
-    return db.topics.findOne({ where: { discourseTopicId: topicId }, raw: true })
+    return db.topics.findOne({ where: { discourseTopicId: topicId }, raw: true, paranoid })
       .then((dbTopic) => {
         if (!dbTopic) {
           const err = new errors.HttpStatusError(404, 'Topic does not exist');
           return next(err);
         }
 
-        return retrieveTopic(logger, dbTopic, req.authUser, discourseClient)
+        return retrieveTopic(logger, dbTopic, req.authUser, discourseClient, options.includeRaw)
           .then(({ isReadOnlyForAdmins, topic }) => {
             if (!topic) {
               const err = new errors.HttpStatusError(500, 'Unable to retrieve topic from discourse');
               return next(err);
             }
-            if (!isReadOnlyForAdmins && !topic.read &&
+            // posts are marked read, unless asked not to
+            if (!isReadOnlyForAdmins && query.markRead && !topic.read &&
               topic.post_stream && topic.post_stream.posts && topic.post_stream.posts.length > 0) {
               const postIds = topic.post_stream.posts.map(post => post.post_number);
               return discourseClient
@@ -63,7 +79,15 @@ module.exports = db =>
           })
           .then((topic) => {
             logger.info('returning topic');
-            return adapter.adaptTopics(topic, req.authToken);
+            return adapter.adaptTopics(topic, options);
+          })
+          .then((result) => {
+            if (query.view === 'threaded') {
+              _.each(result, (adaptedTopic) => {
+                adaptedTopic.posts = threadPosts(adaptedTopic.posts); // eslint-disable-line
+              });
+            }
+            return result;
           })
           .then(result => resp.status(200).send(util.wrapResponse(req.id, result)))
           .catch(err => next(err));
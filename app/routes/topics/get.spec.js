@@ -1,12 +1,14 @@
 
 /* eslint-disable no-unused-expressions, newline-per-chained-call */
 
+import _ from 'lodash';
 import { clearDB, prepareDB, jwts } from '../../tests';
 
 
 const request = require('supertest');
 const topicJson = require('../../tests/topic.json');
 const server = require('../../app');
+const models = require('../../models');
 
 const axios = require('axios');
 const sinon = require('sinon');
@@ -80,6 +82,62 @@ describe('GET /v4/topics/:topicId', () => {
       });
   });
 
+  it('should return 200 response and not mark topic read when called with markRead=false', (done) => {
+    sandbox.stub(axios, 'get')
+      .withArgs('/t/1.json').resolves({ data: topicJson });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+
+    request(server)
+      .get(apiPath)
+      .query({ markRead: false })
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(postStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response and not mark topic read when called with markRead=no', (done) => {
+    sandbox.stub(axios, 'get')
+      .withArgs('/t/1.json').resolves({ data: topicJson });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+
+    request(server)
+      .get(apiPath)
+      .query({ markRead: 'no' })
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(postStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response when called with parameters of legacy clients', (done) => {
+    sandbox.stub(axios, 'get')
+      .withArgs('/t/1.json').resolves({ data: topicJson });
+    sandbox.stub(axios, 'post').resolves({});
+
+    request(server)
+      .get(apiPath)
+      .query({ filter: 'reference=reference&referenceId=referenceId' })
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(200, done);
+  });
+
   it('should return 200 response when called by admin not on project team and not mark topic as read', (done) => {
     const getStub = sandbox.stub(axios, 'get')
       .onFirstCall().rejects({ })
@@ -104,6 +162,33 @@ describe('GET /v4/topics/:topicId', () => {
   });
 
 
+  it('should return 200 response when a public topic is called by a user not on the team', (done) => {
+    const getStub = sandbox.stub(axios, 'get')
+      .onFirstCall().rejects({ })
+      .onSecondCall().resolves({ data: Object.assign({}, topicJson, { id: 1 }) });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+
+    models.topics.update({ isPublic: true }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .get(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+          })
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            sinon.assert.calledTwice(getStub);
+            sinon.assert.notCalled(postStub);
+            res.body.result.content[0].isPublic.should.be.true();
+            return done();
+          });
+      });
+  });
+
+
   it('should return 500 response if error to get topic', (done) => {
     sandbox.stub(axios, 'get').rejects({ response: { status: 500 } });
     request(server)
@@ -119,4 +204,196 @@ describe('GET /v4/topics/:topicId', () => {
               return done();
             });
   });
+
+  describe('soft deleted topic', () => {
+    beforeEach(() => models.topics.destroy({ where: { id: 1 } }));
+
+    it('should return 404 response', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: topicJson });
+      request(server)
+        .get(apiPath)
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return 404 response when a non admin includes deleted topics', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: topicJson });
+      request(server)
+        .get(apiPath)
+        .query({ includeDeleted: true })
+        .set({
+          Authorization: `Bearer ${jwts.manager}`,
+        })
+        .expect(404, done);
+    });
+
+    it('should return 200 response when an admin includes deleted topics', (done) => {
+      sandbox.stub(axios, 'get').resolves({ data: Object.assign({}, topicJson, { id: 1 }) });
+      sandbox.stub(axios, 'post').resolves({});
+      request(server)
+        .get(apiPath)
+        .query({ includeDeleted: true })
+        .set({
+          Authorization: `Bearer ${jwts.admin}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content[0].deletedAt.should.be.ok();
+          res.body.result.content[0].reference.should.equal('reference');
+          res.body.result.content[0].notificationLevel.should.equal('regular');
+          return done();
+        });
+    });
+  });
+
+  describe('with replies', () => {
+    // post 2 replies to post 1, post 3 replies to post 2, post 4 replies to a post that was not retrieved
+    const replies = { 1: null, 2: 1, 3: 2, 4: 10 };
+    const topicWithReplies = Object.assign({}, topicJson, {
+      id: 1,
+      post_stream: Object.assign({}, topicJson.post_stream, {
+        posts: _.map(replies, (replyTo, postNumber) => Object.assign({}, topicJson.post_stream.posts[0], {
+          id: parseInt(postNumber, 10) + 100,
+          post_number: parseInt(postNumber, 10),
+          reply_to_post_number: replyTo,
+          reply_count: _.filter(replies, parent => parent === parseInt(postNumber, 10)).length,
+        })),
+      }),
+    });
+
+    beforeEach(() => {
+      sandbox.stub(axios, 'get').resolves({ data: topicWithReplies });
+      sandbox.stub(axios, 'post').resolves({});
+    });
+
+    it('should return 400 response with an unknown view', (done) => {
+      request(server)
+        .get(apiPath)
+        .query({ view: 'tree' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(400, done);
+    });
+
+    it('should return the reply relationships of the posts', (done) => {
+      request(server)
+        .get(apiPath)
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          const posts = res.body.result.content[0].posts;
+          posts.map(post => _.pick(post, ['id', 'replyToPostNumber', 'replyToPostId', 'replyCount'])).should.eql([
+            { id: 101, replyToPostNumber: null, replyToPostId: null, replyCount: 1 },
+            { id: 102, replyToPostNumber: 1, replyToPostId: 101, replyCount: 1 },
+            { id: 103, replyToPostNumber: 2, replyToPostId: 102, replyCount: 0 },
+            { id: 104, replyToPostNumber: 10, replyToPostId: null, replyCount: 0 },
+          ]);
+          return done();
+        });
+    });
+
+    it('should nest the posts under the posts they reply to with view=threaded', (done) => {
+      request(server)
+        .get(apiPath)
+        .query({ view: 'threaded' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          const posts = res.body.result.content[0].posts;
+          posts.map(post => post.id).should.eql([101, 104]);
+          posts[0].replies.map(post => post.id).should.eql([102]);
+          posts[0].replies[0].replies.map(post => post.id).should.eql([103]);
+          posts[0].replies[0].replies[0].replies.should.eql([]);
+          posts[1].replies.should.eql([]);
+          return done();
+        });
+    });
+  });
+
+  describe('with body formats', () => {
+    const topicWithRaw = Object.assign({}, topicJson, {
+      id: 1,
+      post_stream: Object.assign({}, topicJson.post_stream, {
+        posts: [Object.assign({}, topicJson.post_stream.posts[0], {
+          cooked: '<p>first &amp; <strong>bold</strong></p>\n<p>second</p>',
+          raw: 'first & **bold**\n\nsecond',
+        })],
+      }),
+    });
+    let getStub;
+
+    beforeEach(() => {
+      getStub = sandbox.stub(axios, 'get').resolves({ data: topicWithRaw });
+      sandbox.stub(axios, 'post').resolves({});
+    });
+
+    it('should return 400 response with an unknown format', (done) => {
+      request(server)
+        .get(apiPath)
+        .query({ format: 'pdf' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(400, done);
+    });
+
+    it('should return the raw body of the posts with format=raw', (done) => {
+      request(server)
+        .get(apiPath)
+        .query({ format: 'raw' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          getStub.should.be.calledWith('/t/1.json', sinon.match({ params: { include_raw: true } }));
+          const post = res.body.result.content[0].posts[0];
+          post.body.should.equal('first & **bold**\n\nsecond');
+          post.should.not.have.property('bodies');
+          return done();
+        });
+    });
+
+    it('should return the bodies of the posts in each of the requested formats', (done) => {
+      request(server)
+        .get(apiPath)
+        .query({ format: 'text', bodies: 'raw,html,text' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          const post = res.body.result.content[0].posts[0];
+          post.body.should.equal('first & bold\n\nsecond');
+          post.bodies.should.eql({
+            raw: 'first & **bold**\n\nsecond',
+            html: '<p>first &amp; <strong>bold</strong></p>\n<p>second</p>',
+            text: 'first & bold\n\nsecond',
+          });
+          return done();
+        });
+    });
+  });
 });
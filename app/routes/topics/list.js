@@ -1,4 +1,5 @@
-import { retrieveTopic } from './util';
+import { retrieveTopic, toList, tagsCondition, linksCondition, bodyFormatQuery, bodyOptions } from './util';
+import { USER_ROLE } from '../../constants';
 
 const _ = require('lodash');
 const config = require('config');
@@ -10,6 +11,20 @@ const Joi = require('joi');
 const Adapter = require('../../services/adapter');
 
 
+/**
+ * Wraps a page of topics, adding the cursor of the next page to the response metadata
+ * @param {String} requestId request identifier
+ * @param {Array} topics topics of the current page
+ * @param {Number} totalCount number of topics matching the filter across all pages
+ * @param {Number} nextCursor cursor of the next page, null if this is the last page
+ * @return {Object} wrapped response
+ */
+function wrapPage(requestId, topics, totalCount, nextCursor) {
+  const body = util.wrapResponse(requestId, topics, totalCount);
+  body.result.metadata.nextCursor = nextCursor;
+  return body;
+}
+
 /**
  * Handles listing of topics
  * @param {Object} db sequelize db with all models loaded
@@ -30,11 +45,27 @@ module.exports = db =>
     const adapter = new Adapter(logger, db);
 
     // Validate request parameters
-    Joi.assert(req.query, {
-      filter: Joi.string().required(),
-    });
+    const listOfStrings = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()));
+    const query = Joi.attempt(req.query, _.assign({
+      filter: Joi.string(),
+      reference: Joi.string(),
+      referenceId: listOfStrings,
+      tag: listOfStrings,
+      tagMatch: Joi.string().valid('any', 'all'),
+      createdBy: listOfStrings,
+      createdAfter: Joi.date().iso(),
+      createdBefore: Joi.date().iso(),
+      updatedAfter: Joi.date().iso(),
+      updatedBefore: Joi.date().iso(),
+      limit: Joi.number().integer().min(1).max(config.get('maxTopicsPageSize')),
+      cursor: Joi.number().integer().min(1),
+      includeDeleted: Joi.boolean().default(false),
+      markRead: Joi.boolean().default(true),
+      metadata: Joi.object().pattern(/^\w+$/, listOfStrings),
+    }, bodyFormatQuery));
+    const options = bodyOptions(query);
 
-    // Parse filter
+    // Parse the legacy filter, explicit query parameters take precedence over it
     const parsedFilter = (req.query.filter || '').split('&');
     let filter = {};
     _(parsedFilter).each((value) => {
@@ -44,42 +75,116 @@ module.exports = db =>
       }
     });
     // allowed filters
-    filter = _.pick(filter, ['reference', 'referenceId', 'tag']);
+    filter = _.assign(
+      _.pick(filter, ['reference', 'referenceId', 'tag']),
+      _.pick(req.query, ['reference', 'referenceId', 'tag', 'createdBy']));
 
     // Verify required filters are present
     if (!filter.reference || !filter.referenceId) {
       return next(new errors.HttpStatusError(400, 'Please provide reference and referenceId filter parameters'));
     }
 
+    // Multi-value filters may be repeated or comma separated, e.g. tag=PRIMARY,MESSAGES
+    _.each(['referenceId', 'createdBy'], (field) => {
+      if (filter[field]) {
+        const values = toList(filter[field]);
+        filter[field] = values.length === 1 ? values[0] : { $in: values };
+      }
+    });
+    // Topics may have several tags, they match if they have any of the tags, or all of them with tagMatch=all
+    const tags = filter.tag ? toList(filter.tag) : null;
+    // Topics may be linked to several references, they match if any of their links does
+    const linksWhere = _.pick(filter, ['reference', 'referenceId']);
+    filter = _.omit(filter, ['tag', 'reference', 'referenceId']);
+    // Metadata filters, e.g. metadata[phaseId]=12, match topics whose metadata has one of the values for each key
+    _.each(req.query.metadata, (value, key) => {
+      const values = toList(value);
+      filter[`metadata.${key}`] = values.length === 1 ? values[0] : { $in: values };
+    });
+    _.each({ createdAt: 'created', updatedAt: 'updated' }, (prefix, field) => {
+      const range = _.omitBy({
+        $gte: req.query[`${prefix}After`],
+        $lte: req.query[`${prefix}Before`],
+      }, _.isUndefined);
+      if (!_.isEmpty(range)) {
+        filter[field] = _.mapValues(range, value => new Date(value));
+      }
+    });
+
+    // Pagination: topics are paged by their db id, newest first, and the cursor is the dbId
+    // of the last topic of the previous page. Without a limit, all topics are returned.
+    // Pinned topics are not paged, they are all returned on top of the first page.
+    const limit = query.limit || null;
+    // Soft deleted topics are only listed for admins who ask for them
+    const paranoid = !(query.includeDeleted && _.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN));
+    let totalCount = 0;
+    let nextCursor = null;
+    let sortOrders = {};
+
     let isReadOnlyForAdmins = false;
     // Get topics from the Postgres database
-    db.topics.findAll({ where: filter })
-    .then((dbTopics) => {
+    Promise.all([
+      linksCondition(db, linksWhere),
+      tags ? tagsCondition(db, tags, query.tagMatch === 'all') : null,
+    ])
+    .then(([linksIdCondition, tagsIdCondition]) => {
+      filter.id = tagsIdCondition ?
+        { $in: _.intersection(linksIdCondition.$in, tagsIdCondition.$in) } : linksIdCondition;
+      const where = _.assign({}, filter, { pinned: false });
+      if (query.cursor) {
+        where.id = _.assign({}, filter.id, { $lt: query.cursor });
+      }
+      return Promise.all([
+        db.topics.count({ where: filter, paranoid }),
+        query.cursor ? [] : db.topics.findAll({ where: _.assign({}, filter, { pinned: true }), paranoid }),
+        db.topics.findAll({ where, order: [['id', 'DESC']], limit: limit ? limit + 1 : undefined, paranoid }),
+      ]);
+    })
+    .then(([count, pinnedTopics, pgTopics]) => {
+      totalCount = count;
+      let dbTopics = pgTopics;
+      if (limit && dbTopics.length > limit) {
+        dbTopics = _.take(dbTopics, limit);
+        nextCursor = parseInt(_.last(dbTopics).id, 10);
+      }
+      // pinned topics without a sort order go after the ones with a sort order
+      sortOrders = _.fromPairs(_.map(pinnedTopics, pinnedTopic => [
+        pinnedTopic.discourseTopicId,
+        _.isNil(pinnedTopic.sortOrder) ? Number.MAX_SAFE_INTEGER : pinnedTopic.sortOrder,
+      ]));
+      dbTopics = pinnedTopics.concat(dbTopics);
       if (dbTopics.length === 0) {
         // returning empty list
-        return resp.status(200).send(util.wrapResponse(req.id, []));
+        return resp.status(200).send(wrapPage(req.id, [], totalCount, nextCursor));
       }
 
       logger.info('Topics exist in pg, fetching from discourse');
-      const topicPromises = dbTopics.map(dbTopic => retrieveTopic(logger, dbTopic, req.authUser, discourseClient));
+      const topicPromises = dbTopics.map(dbTopic =>
+        retrieveTopic(logger, dbTopic, req.authUser, discourseClient, options.includeRaw));
 
       return Promise.all(topicPromises)
       .then((topicResponses) => {
-        // filter null topics and sort in the  order of the last activity date descending (more recent activity first)
+        // filter null topics, the ones the user can't access are not counted either. Only the topics of
+        // the current page are retrieved, so the ones of the other pages may still be counted.
         let topics = _.map(topicResponses, 'topic');
-        if (topics.length === 0) {
+        totalCount -= _.filter(topics, _.isNil).length;
+        topics = _.filter(topics, topic => topic != null);
+        if (topics.length === 0 && !query.cursor && !nextCursor) {
           throw new errors.HttpStatusError(404, 'Topic does not exist');
         }
         isReadOnlyForAdmins = _.every(_.map(topicResponses, 'isReadOnlyForAdmins'));
-        // console.log(topics);
-        topics = _.chain(topics)
-          .filter(topic => topic != null)
-          .orderBy(['last_posted_at'], ['desc'])
-          .value();
+        // pinned topics go first in their sort order. Pages are cut by id, so paged topics keep their id order,
+        // otherwise topics are sorted in the order of the last activity date descending (more recent activity first)
+        const paged = limit || query.cursor;
+        topics = _.orderBy(topics, [
+          topic => (_.has(sortOrders, topic.id) ? 0 : 1),
+          topic => sortOrders[topic.id],
+          topic => (paged ? 0 : topic.last_posted_at),
+        ], ['asc', 'asc', 'desc']);
 
         logger.info('returning topics');
-        if (!isReadOnlyForAdmins) {
-          // Mark all unread topics as read.
+        if (!isReadOnlyForAdmins && query.markRead) {
+          // Mark all unread topics as read, unless asked not to.
           Promise.all(topics.filter(topic => !topic.read).map((topic) => {
             if (topic.post_stream && topic.post_stream.posts && topic.post_stream.posts.length > 0) {
               const postIds = topic.post_stream.posts.map(post => post.post_number);
@@ -91,9 +196,9 @@ module.exports = db =>
           });
         }
         logger.debug('adapting topics');
-        return adapter.adaptTopics(topics);
+        return adapter.adaptTopics(topics, options);
       })
-      .then(result => resp.status(200).send(util.wrapResponse(req.id, result)));
+      .then(result => resp.status(200).send(wrapPage(req.id, result, totalCount, nextCursor)));
     }).catch((error) => {
       next(error);
     });
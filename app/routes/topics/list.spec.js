@@ -1,10 +1,11 @@
 /* eslint-disable no-unused-expressions, newline-per-chained-call */
 
-import { clearDB, prepareDB, jwts } from '../../tests';
+import { clearDB, createTopics, prepareDB, jwts } from '../../tests';
 
 require('should-sinon');
 
 const request = require('supertest');
+const models = require('../../models');
 const server = require('../../app');
 const axios = require('axios');
 const sinon = require('sinon');
@@ -199,4 +200,398 @@ describe('GET /v4/topics ', () => {
         return done();
       });
   });
+
+  it('should return 200 response and not mark topics read when called with markRead=false', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .query(Object.assign({ markRead: false }, testQuery))
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(postStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response and not mark topics read when called with markRead=no', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .query(Object.assign({ markRead: 'no' }, testQuery))
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(postStub);
+        return done();
+      });
+  });
+
+  it('should return 400 response with invalid limit', (done) => {
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .query(Object.assign({ limit: 0 }, testQuery))
+      .expect(400, done);
+  });
+
+  it('should return 400 response with invalid date range', (done) => {
+    request(server)
+      .get(apiPath)
+      .set({ Authorization: `Bearer ${jwts.member}` })
+      .query({ reference: 'reference', referenceId: 'referenceId', createdAfter: 'yesterday' })
+      .expect(400, done);
+  });
+
+  describe('filters', () => {
+    beforeEach(() => createTopics([
+      {
+        id: 2,
+        referenceId: 'referenceId2',
+        tag: 'PRIMARY',
+        createdBy: '40051331',
+        metadata: { phaseId: 12, milestone: 'm1' },
+      },
+      { id: 3, referenceId: 'referenceId3', tag: 'MESSAGES', createdBy: '40051332', metadata: { phaseId: 13 } },
+      { id: 4, referenceId: 'referenceId3', tag: 'tag', createdAt: new Date('2016-01-01') },
+    ].map(topic => Object.assign({ reference: 'reference', discourseTopicId: topic.id }, topic))));
+
+    /**
+     * Requests the topic list and resolves the discourse topic ids that were retrieved
+     * @param {Object} query query parameters
+     * @param {Function} cb callback receiving the error and the list of retrieved discourse topic ids
+     * @return {void}
+     */
+    function listTopicIds(query, cb) {
+      const getStub = sandbox.stub(axios, 'get').resolves({ data: topicJson });
+      sandbox.stub(axios, 'post').resolves({});
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(query)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return cb(err);
+          }
+          res.body.result.content.length.should.equal(getStub.callCount);
+          return cb(null, getStub.args.map(args => args[0]).sort());
+        });
+    }
+
+    it('should match multiple comma separated referenceIds and tags', (done) => {
+      listTopicIds({
+        reference: 'reference',
+        referenceId: 'referenceId2,referenceId3',
+        tag: 'PRIMARY,MESSAGES',
+      }, (err, ids) => {
+        if (err) {
+          return done(err);
+        }
+        ids.should.eql(['/t/2.json', '/t/3.json']);
+        return done();
+      });
+    });
+
+    describe('with several tags', () => {
+      beforeEach(() => models.topicTags.create({ topicId: 3, tag: 'DESIGN' }));
+
+      it('should match topics having any of the tags', (done) => {
+        listTopicIds({
+          reference: 'reference',
+          referenceId: 'referenceId2,referenceId3',
+          tag: 'DESIGN,PRIMARY',
+        }, (err, ids) => {
+          if (err) {
+            return done(err);
+          }
+          ids.should.eql(['/t/2.json', '/t/3.json']);
+          return done();
+        });
+      });
+
+      it('should match topics having all the tags with tagMatch=all', (done) => {
+        listTopicIds({
+          reference: 'reference',
+          referenceId: 'referenceId2,referenceId3',
+          tag: 'MESSAGES,DESIGN',
+          tagMatch: 'all',
+        }, (err, ids) => {
+          if (err) {
+            return done(err);
+          }
+          ids.should.eql(['/t/3.json']);
+          return done();
+        });
+      });
+
+      it('should not match topics having only some of the tags with tagMatch=all', (done) => {
+        listTopicIds({
+          reference: 'reference',
+          referenceId: 'referenceId2,referenceId3',
+          tag: 'PRIMARY,DESIGN',
+          tagMatch: 'all',
+        }, (err, ids) => {
+          if (err) {
+            return done(err);
+          }
+          ids.should.eql([]);
+          return done();
+        });
+      });
+    });
+
+    describe('with several links', () => {
+      beforeEach(() => models.topicLinks.create({ topicId: 2, reference: 'challenge', referenceId: '30001' }));
+
+      it('should match topics linked to the reference', (done) => {
+        listTopicIds({ reference: 'challenge', referenceId: '30001' }, (err, ids) => {
+          if (err) {
+            return done(err);
+          }
+          ids.should.eql(['/t/2.json']);
+          return done();
+        });
+      });
+
+      it('should match topics by their own reference too', (done) => {
+        listTopicIds({ reference: 'reference', referenceId: 'referenceId2', tag: 'PRIMARY' }, (err, ids) => {
+          if (err) {
+            return done(err);
+          }
+          ids.should.eql(['/t/2.json']);
+          return done();
+        });
+      });
+    });
+
+    it('should match repeated referenceId parameters and createdBy', (done) => {
+      listTopicIds('reference=reference&referenceId=referenceId2&referenceId=referenceId3&createdBy=40051332',
+        (err, ids) => {
+          if (err) {
+            return done(err);
+          }
+          ids.should.eql(['/t/3.json']);
+          return done();
+        });
+    });
+
+    it('should match any of the values of a metadata key', (done) => {
+      listTopicIds({
+        reference: 'reference',
+        referenceId: 'referenceId2,referenceId3',
+        metadata: { phaseId: '12,13' },
+      }, (err, ids) => {
+        if (err) {
+          return done(err);
+        }
+        ids.should.eql(['/t/2.json', '/t/3.json']);
+        return done();
+      });
+    });
+
+    it('should match all the metadata keys', (done) => {
+      listTopicIds(
+        'reference=reference&referenceId=referenceId2,referenceId3&metadata[phaseId]=12&metadata[milestone]=m1',
+        (err, ids) => {
+          if (err) {
+            return done(err);
+          }
+          ids.should.eql(['/t/2.json']);
+          return done();
+        });
+    });
+
+    it('should filter by creation date range', (done) => {
+      listTopicIds({
+        reference: 'reference',
+        referenceId: 'referenceId3',
+        createdBefore: '2016-06-01T00:00:00.000Z',
+      }, (err, ids) => {
+        if (err) {
+          return done(err);
+        }
+        ids.should.eql(['/t/4.json']);
+        return done();
+      });
+    });
+  });
+
+  describe('pagination', () => {
+    beforeEach(() => createTopics([2, 3].map(id => ({
+      id,
+      reference: 'reference',
+      referenceId: 'referenceId',
+      discourseTopicId: id,
+      tag: 'tag',
+    }))));
+
+    it('should return the first page with total count and next cursor', (done) => {
+      const getStub = sandbox.stub(axios, 'get').resolves({ data: topicJson });
+      sandbox.stub(axios, 'post').resolves({});
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(Object.assign({ limit: 2 }, testQuery))
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.should.be.of.length(2);
+          res.body.result.metadata.totalCount.should.equal(3);
+          res.body.result.metadata.nextCursor.should.equal(2);
+          getStub.should.be.calledWith('/t/3.json');
+          getStub.should.be.calledWith('/t/2.json');
+          getStub.should.not.be.calledWith('/t/1.json');
+          return done();
+        });
+    });
+
+    it('should return the last page when called with a cursor', (done) => {
+      const getStub = sandbox.stub(axios, 'get').resolves({ data: topicJson });
+      sandbox.stub(axios, 'post').resolves({});
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(Object.assign({ limit: 2, cursor: 2 }, testQuery))
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.should.be.of.length(1);
+          res.body.result.metadata.totalCount.should.equal(3);
+          (res.body.result.metadata.nextCursor === null).should.be.true;
+          sinon.assert.calledOnce(getStub);
+          getStub.should.be.calledWith('/t/1.json');
+          return done();
+        });
+    });
+
+    it('should keep the id order of the topics of a page', (done) => {
+      const getStub = sandbox.stub(axios, 'get');
+      [3, 2].forEach((id) => {
+        getStub.withArgs(`/t/${id}.json`).resolves({
+          data: Object.assign({}, topicJson, { id, last_posted_at: `2017-03-1${5 - id}T00:00:00.000Z` }),
+        });
+      });
+      sandbox.stub(axios, 'post').resolves({});
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(Object.assign({ limit: 2 }, testQuery))
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.map(topic => topic.id).should.eql([3, 2]);
+          return done();
+        });
+    });
+
+    it('should not count the topics the user can not access', (done) => {
+      const getStub = sandbox.stub(axios, 'get').resolves({ data: topicJson });
+      getStub.withArgs('/t/2.json').rejects({ status: 404 });
+      sandbox.stub(axios, 'post').resolves({});
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(Object.assign({ limit: 2 }, testQuery))
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.should.be.of.length(1);
+          res.body.result.metadata.totalCount.should.equal(2);
+          res.body.result.metadata.nextCursor.should.equal(2);
+          return done();
+        });
+    });
+
+    it('should return 404 response if the user can not access any of the topics', (done) => {
+      sandbox.stub(axios, 'get').rejects({ status: 404 });
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(testQuery)
+        .expect(404, done);
+    });
+  });
+
+  describe('pinned topics', () => {
+    beforeEach(() => createTopics([
+      { id: 2, pinned: true, sortOrder: 2 },
+      { id: 3, pinned: true, sortOrder: 1 },
+      { id: 4 },
+    ].map(topic => Object.assign({
+      reference: 'reference',
+      referenceId: 'referenceId',
+      discourseTopicId: topic.id,
+      tag: 'tag',
+    }, topic))));
+
+    /**
+     * Stubs Discourse to return a topic with the given id for each topic, the most recent activity on the first ones
+     * @return {Object} the stub of axios.get
+     */
+    function stubTopics() {
+      const getStub = sandbox.stub(axios, 'get');
+      [4, 1, 2, 3].forEach((id, index) => {
+        getStub.withArgs(`/t/${id}.json`).resolves({
+          data: Object.assign({}, topicJson, { id, last_posted_at: `2017-03-1${9 - index}T00:00:00.000Z` }),
+        });
+      });
+      sandbox.stub(axios, 'post').resolves({});
+      return getStub;
+    }
+
+    it('should return pinned topics first in their sort order', (done) => {
+      stubTopics();
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(testQuery)
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.map(topic => topic.id).should.eql([3, 2, 4, 1]);
+          res.body.result.content[0].pinned.should.be.true;
+          res.body.result.content[0].sortOrder.should.equal(1);
+          res.body.result.content[2].pinned.should.be.false;
+          return done();
+        });
+    });
+
+    it('should return pinned topics on top of the first page only', (done) => {
+      const getStub = stubTopics();
+      request(server)
+        .get(apiPath)
+        .set({ Authorization: `Bearer ${jwts.member}` })
+        .query(Object.assign({ limit: 1 }, testQuery))
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.map(topic => topic.id).should.eql([3, 2, 4]);
+          res.body.result.metadata.totalCount.should.equal(4);
+          res.body.result.metadata.nextCursor.should.equal(4);
+          getStub.should.not.be.calledWith('/t/1.json');
+          return done();
+        });
+    });
+  });
 });
@@ -0,0 +1,125 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+import Promise from 'bluebird';
+
+import Discourse from '../../services/discourse';
+import HelperService from '../../services/helper';
+import notificationLevels from '../../services/notificationLevels';
+import { USER_ROLE } from '../../constants';
+import { addLinks } from './util';
+
+const util = require('tc-core-library-js').util(config);
+
+const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
+
+/**
+ * Moves a topic to a different reference entity
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Re-parents the topic to the reference and referenceId given in the body:
+   *  - Only admins can move topics
+   *  - Verifies the user has access to the new entity (userHasAccessToEntity function), if not returns 403
+   *  - If the new entity has members (e.g. projects), grants them access to the topic,
+   *    provisioning them in Discourse if needed, and removes the access of the users who aren't members of it,
+   *    nor of the other entities the topic is linked to
+   *  - Updates the reference of the topic in Postgres, and replaces the link to the old entity with the new one,
+   *    the other links of the topic are kept
+   *  - Applies the default notification levels users chose for the new entity
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const helper = HelperService(logger, db);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+    });
+    const params = Joi.attempt(req.body, {
+      reference: Joi.string().required(),
+      referenceId: Joi.string().required(),
+    });
+    const topicId = req.params.topicId;
+
+    if (!_.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+      return next(new errors.HttpStatusError(403, 'Only admins can move topics'));
+    }
+
+    /**
+     * Grants access to the topic to the members of the new entity and removes the access of the other users,
+     * unless they are members of one of the other entities the topic stays linked to
+     * @param {Object} dbTopic topic from Postgres
+     * @param {Array} members ids of the members of the new entity
+     * @return {Promise} promise
+     */
+    function syncParticipants(dbTopic, members) {
+      return Promise.all([
+        discourseClient.getTopic(topicId, DISCOURSE_SYSTEM_USERNAME),
+        db.topicLinks.findAll({ where: { topicId: dbTopic.id }, raw: true })
+          .then(links => helper.getLinkedMembers(req.id, _.reject(links, link =>
+            link.reference === dbTopic.reference && link.referenceId === dbTopic.referenceId))),
+      ])
+        .then(([topic, linkedMembers]) => {
+          const participants = _.map(_.get(topic, 'details.allowed_users', []), 'username');
+          const systemUsers = ['system', DISCOURSE_SYSTEM_USERNAME];
+          const usersToAdd = _.difference(members, participants);
+          const usersToRemove = _.difference(participants, members.concat(linkedMembers, systemUsers));
+          logger.debug('Users to add to topic: ', usersToAdd);
+          logger.debug('Users to remove from topic: ', usersToRemove);
+          return Promise.all(_.map(usersToAdd, userId => helper.getUserOrProvision(userId)
+            .then(() => discourseClient.grantAccess(userId, topicId))))
+            .then(() => Promise.all(_.map(usersToRemove, userId => discourseClient.removeAccess(userId, topicId))));
+        });
+    }
+
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((dbTopic) => {
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        return helper.userHasAccessToEntity(req.authToken, req.id, params.reference, params.referenceId)
+          .then((hasAccessResp) => {
+            const hasAccess = hasAccessResp[0];
+            if (!hasAccess) {
+              throw new errors.HttpStatusError(403, 'User doesn\'t have access to the entity');
+            }
+            const members = _.get(hasAccessResp[1], 'members');
+            // anyone can read public topics, their participants are not synced
+            if (dbTopic.isPublic) {
+              return null;
+            }
+            if (!members) {
+              logger.info('Entity has no members, keeping the participants of the topic');
+              return null;
+            }
+            return syncParticipants(dbTopic, _.map(members, member => member.userId.toString()));
+          })
+          .then(() => db.topicLinks.destroy({
+            where: { topicId: dbTopic.id, reference: dbTopic.reference, referenceId: dbTopic.referenceId },
+          }))
+          .then(() => addLinks(db, dbTopic, [params], req.authUser.userId.toString()))
+          .then(() => dbTopic.update({
+            reference: params.reference,
+            referenceId: params.referenceId,
+            updatedBy: req.authUser.userId.toString(),
+          }))
+          .then(() => notificationLevels.applyReferenceDefaults(logger, db, discourseClient, dbTopic))
+          .then(() => dbTopic);
+      })
+      .then((dbTopic) => {
+        logger.info(`Topic moved to ${params.reference} ${params.referenceId}`);
+        resp.status(200).send(util.wrapResponse(req.id,
+          _.pick(dbTopic.get({ plain: true }), ['id', 'reference', 'referenceId', 'discourseTopicId', 'tag'])));
+      })
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500, 'Error moving topic'));
+      });
+  };
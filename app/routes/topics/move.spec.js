@@ -0,0 +1,261 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+const models = require('../../models');
+const util = require('../../util');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/move', () => {
+  const apiPath = '/v4/topics/1/move';
+  const testBody = {
+    reference: 'reference',
+    referenceId: 'newReferenceId',
+  };
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  /**
+   * Stubs the reference lookup of the new entity and the Discourse topic
+   * @param {Object} content content of the new entity
+   * @return {Object} the stub of axios.get
+   */
+  function stubEntity(content) {
+    const getStub = sandbox.stub(axios, 'get');
+    // the endpoint of the reference lookup fixture is 'http://reftest/${id}', only {id} is replaced
+    getStub.withArgs('http://reftest/$newReferenceId').resolves({ data: { result: { status: 200, content } } });
+    getStub.withArgs('/t/1.json').resolves({ data: topicJson });
+    getStub.resolves({ data: {} });
+    return getStub;
+  }
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not an admin', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 400 response without referenceId', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send({ reference: 'reference' })
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .post('/v4/topics/1000/move')
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send(testBody)
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not have access to the new entity', (done) => {
+    sandbox.stub(axios, 'get').rejects({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send(testBody)
+      .expect(403, done);
+  });
+
+  it('should return 200 response and sync participants with the members of the new entity', (done) => {
+    stubEntity({ members: [{ userId: 40152934 }, { userId: 40051331 }] });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send(testBody)
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.referenceId.should.equal('newReferenceId');
+        sinon.assert.calledOnce(postStub);
+        postStub.should.be.calledWith('/t/1/invite', { user: '40051331' });
+        sinon.assert.callCount(putStub, 4);
+        putStub.should.be.calledWith('/t/1/remove-allowed-user', { username: '40152856' });
+        putStub.should.not.be.calledWith('/t/1/remove-allowed-user', { username: '40152934' });
+        putStub.should.not.be.calledWith('/t/1/remove-allowed-user', { username: 'system' });
+        return models.topics.findOne({ where: { id: 1 } })
+          .then((dbTopic) => {
+            dbTopic.reference.should.equal('reference');
+            dbTopic.referenceId.should.equal('newReferenceId');
+            done();
+          })
+          .catch(done);
+      });
+  });
+
+  it('should keep the participants who are members of another entity linked to the topic', (done) => {
+    const getStub = stubEntity({ members: [{ userId: 40152934 }, { userId: 40051331 }] });
+    getStub.withArgs('http://reftest/$other').resolves({
+      data: { result: { status: 200, content: { members: [{ userId: 40152856 }] } } },
+    });
+    sandbox.stub(util, 'getSystemUserToken').resolves('token');
+    sandbox.stub(axios, 'post').resolves({});
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    models.topicLinks.create({ topicId: 1, reference: 'reference', referenceId: 'other' })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .send(testBody)
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            putStub.should.not.be.calledWith('/t/1/remove-allowed-user', { username: '40152856' });
+            return done();
+          });
+      })
+      .catch(done);
+  });
+
+  it('should return 200 response and keep participants if the new entity has no members', (done) => {
+    stubEntity({ id: 'newReferenceId' });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .send(testBody)
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(postStub);
+        sinon.assert.notCalled(putStub);
+        return done();
+      });
+  });
+
+  it('should not sync the participants of a public topic', (done) => {
+    stubEntity({ members: [{ userId: 40152934 }, { userId: 40051331 }] });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    models.topics.update({ isPublic: true }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .send(testBody)
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            res.body.result.content.referenceId.should.equal('newReferenceId');
+            postStub.should.not.be.calledWith('/t/1/invite');
+            putStub.should.not.be.calledWith('/t/1/remove-allowed-user');
+            return done();
+          });
+      })
+      .catch(done);
+  });
+
+  it('should apply the default notification levels of the new entity', (done) => {
+    stubEntity({ id: 'newReferenceId' });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    sandbox.stub(axios, 'put').resolves({});
+    models.notificationLevels.bulkCreate([
+      { userId: '40051331', reference: 'reference', referenceId: 'newReferenceId', level: 'muted' },
+      { userId: '40051332', reference: 'reference', referenceId: 'newReferenceId', level: 'muted' },
+      // the level chosen for the topic itself is kept
+      { userId: '40051332', reference: 'reference', referenceId: 'referenceId', topicId: 1, level: 'watching' },
+    ])
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .send(testBody)
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            postStub.should.be.calledWith('/t/1/notifications', { notification_level: 0 },
+              { params: { api_username: '40051331' } });
+            postStub.should.not.be.calledWith('/t/1/notifications', sinon.match.any,
+              { params: { api_username: '40051332' } });
+            return done();
+          });
+      })
+      .catch(done);
+  });
+
+  it('should replace the link to the old entity and keep the other links', (done) => {
+    stubEntity({ id: 'newReferenceId' });
+    sandbox.stub(axios, 'post').resolves({});
+    sandbox.stub(axios, 'put').resolves({});
+    models.topicLinks.create({ topicId: 1, reference: 'challenge', referenceId: '30001' })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .send(testBody)
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return models.topicLinks.findAll({ where: { topicId: 1 }, order: [['id', 'ASC']], raw: true })
+              .then((links) => {
+                links.map(link => link.referenceId).should.eql(['30001', 'newReferenceId']);
+                done();
+              })
+              .catch(done);
+          });
+      });
+  });
+});
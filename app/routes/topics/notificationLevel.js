@@ -0,0 +1,54 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+import notificationLevels from '../../services/notificationLevels';
+import { NOTIFICATION_LEVEL } from '../../constants';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Sets the notification level of the current user on a topic
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  const logger = req.log;
+  const discourseClient = Discourse(logger);
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+  });
+  const params = Joi.attempt(req.body, {
+    level: Joi.string().valid(_.values(NOTIFICATION_LEVEL)).required(),
+  });
+  const topicId = req.params.topicId;
+  const userId = req.authUser.userId.toString();
+
+  return db.topics.findOne({ where: { discourseTopicId: topicId } })
+    .then((dbTopic) => {
+      if (!dbTopic) {
+        throw new errors.HttpStatusError(404, 'Topic does not exist');
+      }
+      // fails if the user doesn't participate in the topic
+      return discourseClient.setNotificationLevel(userId, topicId, params.level)
+        .then(() => notificationLevels.save(db, {
+          userId,
+          reference: dbTopic.reference,
+          referenceId: dbTopic.referenceId,
+          topicId: dbTopic.id,
+        }, params.level));
+    })
+    .then(() => {
+      logger.info(`Notification level set to ${params.level}`);
+      resp.status(200).send(util.wrapResponse(req.id, { level: params.level }));
+    })
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        error.response && error.response.status ? error.response.status : 500, 'Error setting notification level'));
+    });
+};
@@ -0,0 +1,139 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('PUT /v4/topics/:topicId/notification-level', () => {
+  const apiPath = '/v4/topics/1/notification-level';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .put(apiPath)
+      .send({ level: 'muted' })
+      .expect(403, done);
+  });
+
+  it('should return 400 response with an invalid level', (done) => {
+    request(server)
+      .put(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ level: 'loud' })
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .put('/v4/topics/1000/notification-level')
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ level: 'muted' })
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not participate in the topic', (done) => {
+    sandbox.stub(axios, 'post').rejects({ response: { status: 403 } });
+    request(server)
+      .put(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ level: 'muted' })
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        return models.notificationLevels.count().then((count) => {
+          count.should.equal(0);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should return 200 response and set the level in Discourse and Postgres', (done) => {
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    models.notificationLevels.create({
+      userId: '40051331',
+      reference: 'reference',
+      referenceId: 'referenceId',
+      topicId: 1,
+      level: 'muted',
+    }).then(() => {
+      request(server)
+        .put(apiPath)
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .send({ level: 'watching' })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.level.should.equal('watching');
+          postStub.should.be.calledWith('/t/1/notifications', { notification_level: 3 },
+            { params: { api_username: '40051331' } });
+          return models.notificationLevels.findAll({ raw: true }).then((levels) => {
+            levels.should.have.length(1);
+            levels[0].level.should.equal('watching');
+            done();
+          }).catch(done);
+        });
+    });
+  });
+
+  it('should update the level of the user on a topic moved to another reference', (done) => {
+    sandbox.stub(axios, 'post').resolves({});
+    models.notificationLevels.create({
+      userId: '40051331',
+      reference: 'reference',
+      referenceId: 'referenceId',
+      topicId: 1,
+      level: 'muted',
+    })
+    .then(() => models.topics.update({ referenceId: 'newReferenceId' }, { where: { id: 1 } }))
+    .then(() => {
+      request(server)
+        .put(apiPath)
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .send({ level: 'watching' })
+        .expect(200)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          return models.notificationLevels.findAll({ raw: true }).then((levels) => {
+            levels.should.have.length(1);
+            levels[0].level.should.equal('watching');
+            levels[0].referenceId.should.equal('newReferenceId');
+            done();
+          }).catch(done);
+        });
+    })
+    .catch(done);
+  });
+});
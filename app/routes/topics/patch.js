@@ -0,0 +1,99 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+import Promise from 'bluebird';
+
+import Discourse from '../../services/discourse';
+import Adapter from '../../services/adapter';
+import { retrieveTopic, isPrivileged, metadataSchema, saveTags } from './util';
+
+const util = require('tc-core-library-js').util(config);
+
+const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
+
+/**
+ * Partially updates a topic
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Updates only the given fields of the topic:
+   *  - title is updated in Discourse, tags and metadata in Postgres, they can be changed by the creator of the topic,
+   *    admins, managers and copilots. The given tags (or tag) and metadata replace the ones of the topic,
+   *    null metadata clears it
+   *  - content (with postId) updates the post in Discourse, as the current user
+   *  - Returns the updated topic
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const adapter = new Adapter(logger, db);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+    });
+    const params = Joi.attempt(req.body, Joi.object().keys({
+      title: Joi.string(),
+      tag: Joi.string(),
+      tags: Joi.array().items(Joi.string()).min(1),
+      postId: Joi.number(),
+      content: Joi.string(),
+      metadata: metadataSchema.allow(null),
+    }).or('title', 'tag', 'tags', 'content', 'metadata').and('postId', 'content')
+      .nand('tag', 'tags'));
+    const topicId = req.params.topicId;
+    const userId = req.authUser.userId.toString();
+
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((dbTopic) => {
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        return retrieveTopic(logger, dbTopic, req.authUser, discourseClient)
+          .then(({ topic }) => {
+            if (!topic) {
+              throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+            }
+            const isCreator = dbTopic.createdBy === userId;
+            const tags = params.tags ? _.uniq(params.tags) : _.compact([params.tag]);
+            if ((params.title || tags.length > 0 || !_.isUndefined(params.metadata)) && !isCreator &&
+              !isPrivileged(req.authUser)) {
+              throw new errors.HttpStatusError(403, 'User is not allowed to update the topic');
+            }
+            const promises = [];
+            if (params.title) {
+              // only the owner of a private message can rename it in Discourse
+              promises.push(discourseClient.updateTopic(isCreator ? userId : DISCOURSE_SYSTEM_USERNAME,
+                topicId, params.title));
+            }
+            if (params.content) {
+              promises.push(discourseClient.updatePost(userId, params.postId, params.content));
+            }
+            // the first tag is the primary tag of the topic
+            const dbChanges = _.pick(params, ['metadata']);
+            if (tags.length > 0) {
+              dbChanges.tag = tags[0];
+              promises.push(saveTags(db, dbTopic, tags));
+            }
+            if (!_.isEmpty(dbChanges)) {
+              promises.push(dbTopic.update(_.assign(dbChanges, { updatedBy: userId })));
+            }
+            return Promise.all(promises);
+          })
+          .then(() => retrieveTopic(logger, dbTopic, req.authUser, discourseClient));
+      })
+      .then(({ topic }) => {
+        logger.info('Topic updated');
+        return adapter.adaptTopics(topic);
+      })
+      .then(result => resp.status(200).send(util.wrapResponse(req.id, result[0])))
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500, 'Error updating topic'));
+      });
+  };
@@ -0,0 +1,247 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('PATCH /v4/topics/:topicId', () => {
+  const apiPath = '/v4/topics/1';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .patch(apiPath)
+      .send({ title: 'title' })
+      .expect(403, done);
+  });
+
+  it('should return 400 response without any field to update', (done) => {
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({})
+      .expect(400, done);
+  });
+
+  it('should return 400 response with content but without postId', (done) => {
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ content: 'content' })
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .patch('/v4/topics/1000')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ title: 'title' })
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user is not allowed to rename the topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ title: 'title' })
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(putStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response and only update the tag', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: Object.assign({}, topicJson, { id: 1 }) });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ tag: 'MESSAGES' })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(putStub);
+        res.body.result.content.tag.should.equal('MESSAGES');
+        res.body.result.content.tags.should.eql(['MESSAGES']);
+        return models.topics.findOne({ where: { id: 1 } })
+          .then((dbTopic) => {
+            dbTopic.tag.should.equal('MESSAGES');
+            dbTopic.updatedBy.should.equal('40051334');
+            done();
+          })
+          .catch(done);
+      });
+  });
+
+  it('should return 400 response with nested metadata', (done) => {
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ metadata: { phase: { id: 1 } } })
+      .expect(400, done);
+  });
+
+  it('should return 403 response if user is not allowed to update the metadata', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: Object.assign({}, topicJson, { id: 1 }) });
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ metadata: { phaseId: 1 } })
+      .expect(403, done);
+  });
+
+  it('should return 200 response and replace the metadata', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: Object.assign({}, topicJson, { id: 1 }) });
+    models.topics.update({ metadata: { phaseId: 1, milestoneId: 2 } }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .patch(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.manager}`,
+          })
+          .send({ metadata: { phaseId: 3 } })
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            res.body.result.content.metadata.should.eql({ phaseId: 3 });
+            return models.topics.findOne({ where: { id: 1 } })
+              .then((dbTopic) => {
+                dbTopic.metadata.should.eql({ phaseId: 3 });
+                done();
+              })
+              .catch(done);
+          });
+      });
+  });
+
+  it('should return 200 response and clear the metadata', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: Object.assign({}, topicJson, { id: 1 }) });
+    models.topics.update({ metadata: { phaseId: 1 } }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .patch(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.manager}`,
+          })
+          .send({ metadata: null })
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            res.body.result.content.metadata.should.eql({});
+            return done();
+          });
+      });
+  });
+
+  it('should return 200 response and replace the tags', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: Object.assign({}, topicJson, { id: 1 }) });
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ tags: ['MESSAGES', 'DESIGN'] })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.tag.should.equal('MESSAGES');
+        res.body.result.content.tags.should.eql(['MESSAGES', 'DESIGN']);
+        return models.topicTags.findAll({ where: { topicId: 1 }, order: [['id', 'ASC']] })
+          .then((topicTags) => {
+            topicTags.map(topicTag => topicTag.tag).should.eql(['MESSAGES', 'DESIGN']);
+            done();
+          })
+          .catch(done);
+      });
+  });
+
+  it('should return 200 response and only rename the topic when called by its creator', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    models.topics.update({ createdBy: '40051331' }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .patch(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+          })
+          .send({ title: 'title' })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            sinon.assert.calledOnce(putStub);
+            putStub.should.be.calledWith('/t/1.json', { topic_id: '1', title: 'title' },
+              { params: { api_username: '40051331' } });
+            return done();
+          });
+      });
+  });
+
+  it('should return 200 response and only update the post', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .patch(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ postId: 1, content: 'content' })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.calledOnce(putStub);
+        putStub.should.be.calledWith('/posts/1.json', { post: { raw: 'content' } });
+        return done();
+      });
+  });
+});
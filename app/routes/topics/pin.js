@@ -0,0 +1,59 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+import { retrieveTopic, isPrivileged } from './util';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Pins or unpins a topic on top of the topics of its reference
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Boolean} pinned whether the topic should be pinned or unpinned
+ * @return {Object} response
+ */
+module.exports = (db, pinned) => (req, resp, next) => {
+  const logger = req.log;
+  const discourseClient = Discourse(logger);
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+  });
+  const params = Joi.attempt(req.body || {}, {
+    sortOrder: pinned ? Joi.number().integer().allow(null) : Joi.any().forbidden(),
+  });
+  const topicId = req.params.topicId;
+
+  if (!isPrivileged(req.authUser)) {
+    return next(new errors.HttpStatusError(403, 'User is not allowed to pin topics'));
+  }
+
+  return db.topics.findOne({ where: { discourseTopicId: topicId } })
+    .then((dbTopic) => {
+      if (!dbTopic) {
+        throw new errors.HttpStatusError(404, 'Topic does not exist');
+      }
+      return retrieveTopic(logger, dbTopic, req.authUser, discourseClient)
+        .then(({ topic }) => {
+          if (!topic) {
+            throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+          }
+          return dbTopic.update({
+            pinned,
+            sortOrder: pinned && !_.isUndefined(params.sortOrder) ? params.sortOrder : null,
+            updatedBy: req.authUser.userId.toString(),
+          });
+        });
+    })
+    .then((dbTopic) => {
+      logger.info(`Topic ${pinned ? 'pinned' : 'unpinned'}`);
+      resp.status(200).send(util.wrapResponse(req.id, _.pick(dbTopic.get({ plain: true }), ['pinned', 'sortOrder'])));
+    })
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(500, 'Error pinning topic'));
+    });
+};
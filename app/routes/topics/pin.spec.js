@@ -0,0 +1,112 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+const should = require('should');
+
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/pin', () => {
+  const apiPath = '/v4/topics/1/pin';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not a manager, copilot or admin', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(403, done);
+  });
+
+  it('should return 400 response with invalid sort order', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ sortOrder: 'first' })
+      .expect(400, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .post('/v4/topics/1000/pin')
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 200 response and pin the topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .send({ sortOrder: 3 })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        res.body.result.content.should.eql({ pinned: true, sortOrder: 3 });
+        return models.topics.findOne({ where: { id: 1 } })
+          .then((dbTopic) => {
+            dbTopic.pinned.should.be.true;
+            dbTopic.sortOrder.should.equal(3);
+            done();
+          })
+          .catch(done);
+      });
+  });
+
+  it('should return 200 response and unpin the topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    models.topics.update({ pinned: true, sortOrder: 1 }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .post('/v4/topics/1/unpin')
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .expect(200)
+          .end((err) => {
+            if (err) {
+              return done(err);
+            }
+            return models.topics.findOne({ where: { id: 1 } })
+              .then((dbTopic) => {
+                dbTopic.pinned.should.be.false;
+                should.not.exist(dbTopic.sortOrder);
+                done();
+              })
+              .catch(done);
+          });
+      });
+  });
+});
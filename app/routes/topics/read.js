@@ -0,0 +1,65 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Marks the posts of a topic as read or unread for the current user
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Boolean} read whether the posts should be marked read or unread
+ * @return {Object} response
+ */
+module.exports = (db, read) =>
+  /**
+   * When marking read, all the posts up to the postNumber of the body are marked read, all the posts without it.
+   * When marking unread, all the posts of the topic are marked unread.
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+
+    // Validate request parameters
+    Joi.assert(req.params, {
+      topicId: Joi.number().required(),
+    });
+    const params = Joi.attempt(req.body || {}, {
+      postNumber: read ? Joi.number().integer().min(1) : Joi.any().forbidden(),
+    });
+    const topicId = req.params.topicId;
+    const userId = req.authUser.userId.toString();
+
+    return db.topics.findOne({ where: { discourseTopicId: topicId } })
+      .then((dbTopic) => {
+        if (!dbTopic) {
+          throw new errors.HttpStatusError(404, 'Topic does not exist');
+        }
+        // only participants of the topic can read it
+        return discourseClient.getTopic(topicId, userId)
+          .catch((error) => {
+            logger.error(error);
+            throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+          });
+      })
+      .then((topic) => {
+        if (!read) {
+          return discourseClient.markTopicUnread(userId, topicId);
+        }
+        const lastPostNumber = Math.min(params.postNumber || topic.highest_post_number, topic.highest_post_number);
+        return discourseClient.markTopicPostsRead(userId, topicId, _.range(1, lastPostNumber + 1));
+      })
+      .then(() => {
+        logger.info(`Topic marked ${read ? 'read' : 'unread'}`);
+        resp.status(200).send(util.wrapResponse(req.id));
+      })
+      .catch((error) => {
+        logger.error(error);
+        next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+          error.response && error.response.status ? error.response.status : 500,
+          `Error marking topic ${read ? 'read' : 'unread'}`));
+      });
+  };
@@ -0,0 +1,140 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const server = require('../../app');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/read', () => {
+  const apiPath = '/v4/topics/1/read';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .post('/v4/topics/1000/read')
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 403 response if user does not participate in the topic', (done) => {
+    sandbox.stub(axios, 'get').rejects({ response: { status: 403 } });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(postStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response and mark all posts read', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { highest_post_number: 3 } });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.be.calledWith('/topics/timings.json',
+          'topic_id=1&topic_time=1&timings%5B1%5D=1000&timings%5B2%5D=1000&timings%5B3%5D=1000');
+        return done();
+      });
+  });
+
+  it('should return 200 response and mark posts read up to the post number', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { highest_post_number: 3 } });
+    const postStub = sandbox.stub(axios, 'post').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ postNumber: 2 })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        postStub.should.be.calledWith('/topics/timings.json',
+          'topic_id=1&topic_time=1&timings%5B1%5D=1000&timings%5B2%5D=1000');
+        return done();
+      });
+  });
+});
+
+describe('POST /v4/topics/:topicId/unread', () => {
+  const apiPath = '/v4/topics/1/unread';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 400 response with a post number', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .send({ postNumber: 2 })
+      .expect(400, done);
+  });
+
+  it('should return 200 response and mark the topic unread', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: { highest_post_number: 3 } });
+    const deleteStub = sandbox.stub(axios, 'delete').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(200)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        deleteStub.should.be.calledWith('/t/1/timings', { params: { api_username: '40051331' } });
+        return done();
+      });
+  });
+});
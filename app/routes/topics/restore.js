@@ -0,0 +1,45 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import { USER_ROLE } from '../../constants';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Restores a soft deleted topic
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db => (req, resp, next) => {
+  const logger = req.log;
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+  });
+  const topicId = req.params.topicId;
+
+  if (!_.includes(req.authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+    return next(new errors.HttpStatusError(403, 'Only admins can restore topics'));
+  }
+
+  return db.topics.findOne({ where: { discourseTopicId: topicId }, paranoid: false })
+    .then((dbTopic) => {
+      if (!dbTopic || !dbTopic.deletedAt) {
+        throw new errors.HttpStatusError(404, 'Deleted topic does not exist');
+      }
+      return dbTopic.restore()
+        .then(() => dbTopic.update({ deletedBy: null, updatedBy: req.authUser.userId.toString() }));
+    })
+    .then((dbTopic) => {
+      logger.info('Topic restored');
+      resp.status(200).send(util.wrapResponse(req.id,
+        _.pick(dbTopic.get({ plain: true }), ['id', 'reference', 'referenceId', 'discourseTopicId', 'tag'])));
+    })
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(500, 'Error restoring topic'));
+    });
+};
@@ -0,0 +1,86 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const server = require('../../app');
+const models = require('../../models');
+
+const sinon = require('sinon');
+const should = require('should');
+
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/restore', () => {
+  const apiPath = '/v4/topics/1/restore';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  /**
+   * Soft deletes the topic of the fixture
+   * @return {Promise} promise
+   */
+  function softDeleteTopic() {
+    return models.topics.findOne({ where: { id: 1 } })
+      .then(dbTopic => dbTopic.update({ deletedBy: '40051333' }).then(() => dbTopic.destroy()));
+  }
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 403 response if user is not an admin', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.manager}`,
+      })
+      .expect(403, done);
+  });
+
+  it('should return 404 response if topic is not deleted', (done) => {
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 200 response and restore the topic', (done) => {
+    softDeleteTopic()
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.admin}`,
+          })
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            res.body.result.content.referenceId.should.equal('referenceId');
+            return models.topics.findOne({ where: { id: 1 } })
+              .then((dbTopic) => {
+                should.exist(dbTopic);
+                should.not.exist(dbTopic.deletedAt);
+                should.not.exist(dbTopic.deletedBy);
+                done();
+              })
+              .catch(done);
+          });
+      });
+  });
+});
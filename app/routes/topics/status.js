@@ -0,0 +1,58 @@
+import _ from 'lodash';
+import errors from 'common-errors';
+import config from 'config';
+import Joi from 'joi';
+
+import Discourse from '../../services/discourse';
+import { retrieveTopic, isPrivileged } from './util';
+
+const util = require('tc-core-library-js').util(config);
+
+const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
+
+/**
+ * Changes a status of a topic, e.g. closes or archives it, in Discourse and Postgres
+ * @param {Object} db sequelize db with all models loaded
+ * @param {String} status the status to change, one of TOPIC_STATUS
+ * @param {Boolean} enabled whether the status should be set or cleared
+ * @return {Object} response
+ */
+module.exports = (db, status, enabled) => (req, resp, next) => {
+  const logger = req.log;
+  const discourseClient = Discourse(logger);
+
+  // Validate request parameters
+  Joi.assert(req.params, {
+    topicId: Joi.number().required(),
+  });
+  const topicId = req.params.topicId;
+  const userId = req.authUser.userId.toString();
+
+  return db.topics.findOne({ where: { discourseTopicId: topicId } })
+    .then((dbTopic) => {
+      if (!dbTopic) {
+        throw new errors.HttpStatusError(404, 'Topic does not exist');
+      }
+      return retrieveTopic(logger, dbTopic, req.authUser, discourseClient)
+        .then(({ topic }) => {
+          if (!topic) {
+            throw new errors.HttpStatusError(403, 'User doesn\'t have access to the topic');
+          }
+          if (dbTopic.createdBy !== userId && !isPrivileged(req.authUser)) {
+            throw new errors.HttpStatusError(403, 'User is not allowed to change the status of the topic');
+          }
+          // only staff can change the status of private messages in Discourse
+          return discourseClient.updateTopicStatus(DISCOURSE_SYSTEM_USERNAME, topicId, status, enabled);
+        })
+        .then(() => dbTopic.update({ [status]: enabled, updatedBy: userId }));
+    })
+    .then((dbTopic) => {
+      logger.info(`Topic ${status} status changed to ${enabled}`);
+      resp.status(200).send(util.wrapResponse(req.id, _.pick(dbTopic.get({ plain: true }), ['closed', 'archived'])));
+    })
+    .catch((error) => {
+      logger.error(error);
+      next(error instanceof errors.HttpStatusError ? error : new errors.HttpStatusError(
+        error.response && error.response.status ? error.response.status : 500, 'Error updating topic status'));
+    });
+};
@@ -0,0 +1,165 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+const should = require('should');
+
+require('should-sinon');
+
+describe('POST /v4/topics/:topicId/close', () => {
+  const apiPath = '/v4/topics/1/close';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .post(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 404 response if no matching topic', (done) => {
+    request(server)
+      .post('/v4/topics/1000/close')
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .expect(404, done);
+  });
+
+  it('should return 404 response if the topic is soft deleted', (done) => {
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    models.topics.destroy({ where: { id: 1 } }).then(() => {
+      request(server)
+        .post(apiPath)
+        .set({
+          Authorization: `Bearer ${jwts.admin}`,
+        })
+        .expect(404)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+          sinon.assert.notCalled(putStub);
+          return done();
+        });
+    }).catch(done);
+  });
+
+  it('should return 403 response if user is not the creator of the topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(403)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.notCalled(putStub);
+        return done();
+      });
+  });
+
+  it('should return 200 response and close the topic when called by admin', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .expect(200)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+        sinon.assert.calledWith(putStub, '/t/1/status', { status: 'closed', enabled: true });
+        res.body.result.content.should.eql({ closed: true, archived: false });
+        return models.topics.findOne({ where: { id: 1 } })
+          .then((dbTopic) => {
+            dbTopic.closed.should.be.true;
+            should.equal(dbTopic.updatedBy, '40051333');
+            done();
+          })
+          .catch(done);
+      });
+  });
+
+  it('should return 200 response when called by the creator of the topic', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    sandbox.stub(axios, 'put').resolves({});
+    models.topics.update({ createdBy: '40051331' }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .post(apiPath)
+          .set({
+            Authorization: `Bearer ${jwts.member}`,
+          })
+          .expect(200, done);
+      });
+  });
+
+  it('should return 500 response if error updating the status in Discourse', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    sandbox.stub(axios, 'put').rejects(new Error());
+    request(server)
+      .post(apiPath)
+      .set({
+        Authorization: `Bearer ${jwts.admin}`,
+      })
+      .expect(500, done);
+  });
+});
+
+describe('POST /v4/topics/:topicId/unarchive', () => {
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 200 response and clear the archived status', (done) => {
+    sandbox.stub(axios, 'get').resolves({ data: topicJson });
+    const putStub = sandbox.stub(axios, 'put').resolves({});
+    models.topics.update({ archived: true }, { where: { id: 1 } })
+      .then(() => {
+        request(server)
+          .post('/v4/topics/1/unarchive')
+          .set({
+            Authorization: `Bearer ${jwts.manager}`,
+          })
+          .expect(200)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+            sinon.assert.calledWith(putStub, '/t/1/status', { status: 'archived', enabled: false });
+            res.body.result.content.archived.should.be.false;
+            return done();
+          });
+      });
+  });
+});
@@ -0,0 +1,75 @@
+import _ from 'lodash';
+import config from 'config';
+import Joi from 'joi';
+import Promise from 'bluebird';
+
+import Discourse from '../../services/discourse';
+import { toList, tagsCondition } from './util';
+
+const util = require('tc-core-library-js').util(config);
+
+/**
+ * Handles counting of unread topics and posts
+ * @param {Object} db sequelize db with all models loaded
+ * @return {Object} response
+ */
+module.exports = db =>
+  /**
+   * Counts the topics with unread posts, and the unread posts, of the current user for each of the given
+   * referenceIds. Only the topics the user participates in are counted, and nothing is marked as read.
+   * A topic linked to several of the referenceIds is counted for each of them.
+   * params: standard express parameters
+   */
+  (req, resp, next) => {
+    const logger = req.log;
+    const discourseClient = Discourse(logger);
+    const userId = req.authUser.userId.toString();
+
+    // Validate request parameters
+    Joi.assert(req.query, {
+      reference: Joi.string().required(),
+      referenceId: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).required(),
+      tag: Joi.string(),
+    });
+    const referenceIds = toList(req.query.referenceId);
+    let topicLinks = [];
+
+    // topics are counted for each of the given referenceIds they are linked to
+    return db.topicLinks.findAll({
+      where: { reference: req.query.reference, referenceId: { $in: referenceIds } },
+      raw: true,
+    })
+      .then((links) => {
+        topicLinks = links;
+        const where = { id: { $in: _.uniq(_.map(links, 'topicId')) } };
+        if (!req.query.tag) {
+          return where;
+        }
+        return tagsCondition(db, [req.query.tag])
+          .then(idCondition => _.assign(where, { id: { $in: _.intersection(where.id.$in, idCondition.$in) } }));
+      })
+      .then(where => db.topics.findAll({ where, raw: true }))
+      .then(dbTopics => Promise.map(dbTopics, dbTopic => discourseClient.getTopic(dbTopic.discourseTopicId, userId)
+        .then(topic => ({
+          topicId: dbTopic.id,
+          unreadPosts: Math.max(0, topic.highest_post_number - (topic.last_read_post_number || 0)),
+        }))
+        .catch((error) => {
+          // the user doesn't participate in the topic
+          logger.debug(`Failed to get topic from discourse: ${dbTopic.discourseTopicId}`, error.message);
+          return null;
+        }), { concurrency: config.get('discourseRequestConcurrency') }))
+      .then((topicCounts) => {
+        const countsByTopicId = _.keyBy(_.compact(topicCounts), 'topicId');
+        const countsByReferenceId = _.groupBy(_.compact(_.map(topicLinks, link => countsByTopicId[link.topicId] &&
+          _.assign({ referenceId: link.referenceId }, countsByTopicId[link.topicId]))), 'referenceId');
+        const counts = _.map(referenceIds, referenceId => ({
+          reference: req.query.reference,
+          referenceId,
+          unreadTopics: _.filter(countsByReferenceId[referenceId], count => count.unreadPosts > 0).length,
+          unreadPosts: _.sumBy(countsByReferenceId[referenceId], 'unreadPosts'),
+        }));
+        resp.status(200).send(util.wrapResponse(req.id, counts));
+      })
+      .catch(error => next(error));
+  };
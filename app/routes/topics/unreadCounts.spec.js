@@ -0,0 +1,106 @@
+/* eslint-disable no-unused-expressions, newline-per-chained-call */
+
+import { clearDB, createTopics, prepareDB, jwts } from '../../tests';
+
+
+const request = require('supertest');
+const topicJson = require('../../tests/topic.json');
+const server = require('../../app');
+const models = require('../../models');
+
+const axios = require('axios');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+describe('GET /v4/topics/unread-counts', () => {
+  const apiPath = '/v4/topics/unread-counts';
+
+  let sandbox;
+  beforeEach((done) => {
+    sandbox = sinon.sandbox.create();
+    prepareDB(done);
+  });
+  afterEach((done) => {
+    sandbox.restore();
+    clearDB(done);
+  });
+
+  it('should return 403 response without a jwt token', (done) => {
+    request(server)
+      .get(apiPath)
+      .expect(403, done);
+  });
+
+  it('should return 400 response without referenceId', (done) => {
+    request(server)
+      .get(apiPath)
+      .query({ reference: 'reference' })
+      .set({
+        Authorization: `Bearer ${jwts.member}`,
+      })
+      .expect(400, done);
+  });
+
+  describe('with topics', () => {
+    beforeEach(() => createTopics([
+      { id: 2, referenceId: 'referenceId' },
+      { id: 3, referenceId: 'referenceId2' },
+      { id: 4, referenceId: 'referenceId2' },
+    ].map(topic => Object.assign({ reference: 'reference', discourseTopicId: topic.id, tag: 'tag' }, topic))));
+
+    it('should return 200 response with the unread counts of each referenceId', (done) => {
+      const getStub = sandbox.stub(axios, 'get');
+      getStub.withArgs('/t/1.json').resolves({ data: topicJson });
+      getStub.withArgs('/t/2.json').resolves({ data: { highest_post_number: 4, last_read_post_number: 4 } });
+      getStub.withArgs('/t/3.json').resolves({ data: { highest_post_number: 5, last_read_post_number: 2 } });
+      getStub.withArgs('/t/4.json').rejects({ response: { status: 403 } });
+      const postStub = sandbox.stub(axios, 'post').resolves({});
+      request(server)
+        .get(apiPath)
+        .query({ reference: 'reference', referenceId: 'referenceId,referenceId2,referenceId3' })
+        .set({
+          Authorization: `Bearer ${jwts.member}`,
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+          res.body.result.content.should.eql([
+            { reference: 'reference', referenceId: 'referenceId', unreadTopics: 1, unreadPosts: 1 },
+            { reference: 'reference', referenceId: 'referenceId2', unreadTopics: 1, unreadPosts: 3 },
+            { reference: 'reference', referenceId: 'referenceId3', unreadTopics: 0, unreadPosts: 0 },
+          ]);
+          sinon.assert.notCalled(postStub);
+          return done();
+        });
+    });
+
+    it('should count the topics linked to several referenceIds for each of them', (done) => {
+      const getStub = sandbox.stub(axios, 'get');
+      getStub.withArgs('/t/3.json').resolves({ data: { highest_post_number: 5, last_read_post_number: 2 } });
+      getStub.withArgs('/t/4.json').rejects({ response: { status: 403 } });
+      models.topicLinks.create({ topicId: 3, reference: 'reference', referenceId: 'referenceId3' })
+        .then(() => {
+          request(server)
+            .get(apiPath)
+            .query({ reference: 'reference', referenceId: 'referenceId2,referenceId3' })
+            .set({
+              Authorization: `Bearer ${jwts.member}`,
+            })
+            .expect(200)
+            .end((err, res) => {
+              if (err) {
+                return done(err);
+              }
+              res.body.result.content.should.eql([
+                { reference: 'reference', referenceId: 'referenceId2', unreadTopics: 1, unreadPosts: 3 },
+                { reference: 'reference', referenceId: 'referenceId3', unreadTopics: 1, unreadPosts: 3 },
+              ]);
+              return done();
+            });
+        });
+    });
+  });
+});
@@ -1,6 +1,6 @@
 /* eslint-disable no-unused-expressions, newline-per-chained-call */
 
-import { jwts } from '../../tests';
+import { clearDB, jwts } from '../../tests';
 
 const request = require('supertest');
 const server = require('../../app');
@@ -18,6 +18,8 @@ describe('POST /v4/topics/:topicId/edit ', () => {
     content: 'content',
   };
   let sandbox;
+  // soft deleted topics are looked up in the db
+  before(clearDB);
   beforeEach(() => {
     sandbox = sinon.sandbox.create();
   });
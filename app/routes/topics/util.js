@@ -1,8 +1,26 @@
 
 import _ from 'lodash';
 import config from 'config';
+import Joi from 'joi';
 import Promise from 'bluebird';
-import { USER_ROLE } from '../../constants';
+import { USER_ROLE, POST_BODY_FORMAT } from '../../constants';
+
+/**
+ * Metadata of a topic, a flat object whose values are scalars so that topics can be filtered by them
+ */
+const metadataSchema = Joi.object().pattern(/^\w+$/, Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()));
+
+// roles allowed to manage the topics, along with their creators
+const PRIVILEGED_ROLES = [USER_ROLE.TOPCODER_ADMIN, USER_ROLE.MANAGER, USER_ROLE.COPILOT];
+
+/**
+ * Whether the user has one of the roles allowed to manage the topics
+ * @param {Object} authUser authenticated user
+ * @return {Boolean} true if the user is an admin, a manager or a copilot
+ */
+function isPrivileged(authUser) {
+  return _.intersection(PRIVILEGED_ROLES, authUser.roles).length > 0;
+}
 
 /**
  * Retrieves topic from discourse
@@ -10,24 +28,26 @@ import { USER_ROLE } from '../../constants';
  * @param {Object} dbTopic topic retrieved from db
  * @param {Object} authUser authenticated user
  * @param {Object} discourseClient client to invoke calls to discourse
+ * @param {Boolean} includeRaw true to include the raw markdown of the posts
  */
-const retrieveTopic = Promise.coroutine(function* a(logger, dbTopic, authUser, discourseClient) {
+const retrieveTopic = Promise.coroutine(function* a(logger, dbTopic, authUser, discourseClient, includeRaw) {
   let isReadOnlyForAdmins = false;
   // attempt to retrieve discourse Topic
   let topic = null;
   try {
-    topic = yield discourseClient.getTopic(dbTopic.discourseTopicId, authUser.userId.toString());
+    topic = yield discourseClient.getTopic(dbTopic.discourseTopicId, authUser.userId.toString(), includeRaw);
     topic.tag = dbTopic.tag;
   } catch (error) {
     logger.info(`Failed to get topic from discourse: ${dbTopic.discourseTopicId}`);
     logger.error(error);
-    // check if user is admin or manager - they can view topics without being a part of the team
-    if (_.intersection([USER_ROLE.TOPCODER_ADMIN, USER_ROLE.MANAGER], authUser.roles).length > 0) {
+    // check if user is admin or manager - they can view topics without being a part of the team,
+    // anyone can view public topics
+    if (dbTopic.isPublic || _.intersection([USER_ROLE.TOPCODER_ADMIN, USER_ROLE.MANAGER], authUser.roles).length > 0) {
       isReadOnlyForAdmins = true;
-      logger.info(`Retrieving Discourse topic for admin/manager: ${dbTopic.discourseTopicId}`);
+      logger.info(`Retrieving Discourse topic for admin/manager or public topic: ${dbTopic.discourseTopicId}`);
       try {
         topic = yield discourseClient
-          .getTopic(dbTopic.discourseTopicId, config.get('discourseSystemUsername'));
+          .getTopic(dbTopic.discourseTopicId, config.get('discourseSystemUsername'), includeRaw);
         topic.tag = dbTopic.tag;
       } catch (err) {
         logger.info(`Failed to get topic from discourse: ${dbTopic.discourseTopicId}`);
@@ -42,6 +62,161 @@ const retrieveTopic = Promise.coroutine(function* a(logger, dbTopic, authUser, d
   };
 });
 
+/**
+ * Normalizes a query parameter that may be repeated or comma separated into a list of unique values
+ * @param {String|Array} value query parameter value
+ * @return {Array} list of values
+ */
+function toList(value) {
+  return _(_.castArray(value))
+    .flatMap(item => item.split(','))
+    .map(_.trim)
+    .compact()
+    .uniq()
+    .value();
+}
+
+/**
+ * Query parameters selecting the format of the bodies of the posts: format picks the format of their body,
+ * and bodies is a comma separated list of formats to also return in their bodies, e.g. bodies=raw,text
+ */
+const formatsPattern = _.values(POST_BODY_FORMAT).join('|');
+const bodyFormatQuery = {
+  format: Joi.string().valid(_.values(POST_BODY_FORMAT)),
+  bodies: Joi.string().regex(new RegExp(`^(${formatsPattern})(,(${formatsPattern}))*$`)),
+};
+
+/**
+ * Parses the body format query parameters into the options of the adapter
+ * @param {Object} query validated query parameters
+ * @return {Object} the format of the body, the formats of the bodies or null, and whether the raw markdown is needed
+ */
+function bodyOptions(query) {
+  const format = query.format || POST_BODY_FORMAT.HTML;
+  const bodies = query.bodies ? toList(query.bodies) : null;
+  return {
+    format,
+    bodies,
+    includeRaw: format === POST_BODY_FORMAT.RAW || _.includes(bodies, POST_BODY_FORMAT.RAW),
+  };
+}
+
+/**
+ * Nests posts under the posts they reply to. Each post gets the list of its replies, and the posts replying to
+ * none of the given posts are kept at the top level, in their original order
+ * @param {Array} posts adapted posts of a topic, in the order of their post numbers
+ * @return {Array} the top level posts
+ */
+function threadPosts(posts) {
+  const threadedPosts = _.map(posts, post => _.assign({}, post, { replies: [] }));
+  const postsById = _.keyBy(threadedPosts, 'id');
+  return _.filter(threadedPosts, (post) => {
+    const parent = post.replyToPostId && postsById[post.replyToPostId];
+    if (parent) {
+      parent.replies.push(post);
+    }
+    return !parent;
+  });
+}
+
+/**
+ * Whether two links point to the same entity
+ * @param {Object} link a { reference, referenceId } link
+ * @param {Object} other another link
+ * @return {Boolean} true if the links are equal
+ */
+function isSameLink(link, other) {
+  return link.reference === other.reference && link.referenceId === other.referenceId;
+}
+
+/**
+ * Renders the {{placeholders}} of a topic template, e.g. {{name}} or {{details.phase}}, with the values of the
+ * context. Placeholders without a value in the context are rendered as empty strings.
+ * @param {String} text title or body of the template
+ * @param {Object} context values of the placeholders, usually the reference entity
+ * @return {String} rendered text
+ */
+function renderTemplate(text, context) {
+  return text.replace(/{{\s*([\w.]+)\s*}}/g, (match, path) => {
+    const value = _.get(context, path);
+    return _.isNil(value) || _.isObject(value) ? '' : value.toString();
+  });
+}
+
+/**
+ * Builds the condition on the db id of the topics having any, or all, of the given tags
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Array} tags list of tags
+ * @param {Boolean} matchAll whether the topics must have all the tags
+ * @return {Promise} promise resolving the condition, to be used as the id in a where clause of topics
+ */
+function tagsCondition(db, tags, matchAll) {
+  return db.topicTags.findAll({ attributes: ['topicId', 'tag'], where: { tag: { $in: tags } }, raw: true })
+    .then(topicTags => ({
+      $in: _.chain(topicTags)
+        .groupBy('topicId')
+        .pickBy(topicTagsOfTopic => !matchAll || _.uniqBy(topicTagsOfTopic, 'tag').length === _.uniq(tags).length)
+        .keys()
+        .value(),
+    }));
+}
+
+/**
+ * Builds the condition on the db id of the topics linked to the entities matching the given condition
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Object} where condition on the reference and referenceId of the links
+ * @return {Promise} promise resolving the condition, to be used as the id in a where clause of topics
+ */
+function linksCondition(db, where) {
+  return db.topicLinks.findAll({ attributes: ['topicId'], where, raw: true })
+    .then(topicLinks => ({ $in: _.uniq(_.map(topicLinks, topicLink => topicLink.topicId.toString())) }));
+}
+
+/**
+ * Adds links between a topic and entities, the links that already exist are skipped
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Object} dbTopic topic from Postgres
+ * @param {Array} links list of the { reference, referenceId } of the entities
+ * @param {String} userId the id of the user linking the topic
+ * @return {Promise} promise resolving the links that were created
+ */
+function addLinks(db, dbTopic, links, userId) {
+  return db.topicLinks.findAll({ where: { topicId: dbTopic.id }, raw: true })
+    .then((existingLinks) => {
+      const newLinks = _.differenceWith(_.uniqWith(links, isSameLink), existingLinks, isSameLink);
+      return db.topicLinks.bulkCreate(_.map(newLinks, link => ({
+        topicId: dbTopic.id,
+        reference: link.reference,
+        referenceId: link.referenceId,
+        createdBy: userId,
+      })))
+      .then(() => newLinks);
+    });
+}
+
+/**
+ * Replaces the tags of a topic, the first one should be saved as the primary tag of the topic by the caller
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Object} dbTopic topic from Postgres
+ * @param {Array} tags list of tags
+ * @return {Promise} promise
+ */
+function saveTags(db, dbTopic, tags) {
+  return db.topicTags.destroy({ where: { topicId: dbTopic.id } })
+    .then(() => db.topicTags.bulkCreate(_.map(_.uniq(tags), tag => ({ topicId: dbTopic.id, tag }))));
+}
+
 module.exports = {
   retrieveTopic,
+  isPrivileged,
+  toList,
+  renderTemplate,
+  metadataSchema,
+  tagsCondition,
+  saveTags,
+  linksCondition,
+  addLinks,
+  threadPosts,
+  bodyFormatQuery,
+  bodyOptions,
 };
@@ -1,17 +1,126 @@
 
 
+const _ = require('lodash');
 const Helper = require('./helper.js');
 const Promise = require('bluebird');
 const config = require('config');
+const { DISCOURSE_NOTIFICATION_LEVELS, DISCOURSE_POST_ACTION_TYPES, POST_BODY_FORMAT } = require('../constants');
 
 const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
 
+// by default, the body of posts is their cooked html
+const DEFAULT_BODY_OPTIONS = { format: POST_BODY_FORMAT.HTML, bodies: null, includeRaw: false };
+
 // storing a reference to handle to userId lookup
 // FIXME: (parth) this map will grow eventually as more users are added,
 // consider using external cache instead
 const handleMap = { system: 'system' };
 handleMap[DISCOURSE_SYSTEM_USERNAME] = DISCOURSE_SYSTEM_USERNAME;
 
+/**
+ * Aggregates the reactions to a post from its discourse actions summary
+ * @param {Array} actionsSummary actions summary of the discourse post, as seen by the current user
+ * @return {Array} the count of each type of reaction, and whether the current user reacted
+ */
+function convertReactions(actionsSummary) {
+  return _.map(DISCOURSE_POST_ACTION_TYPES, (actionTypeId, type) => {
+    const action = _.find(actionsSummary, { id: actionTypeId });
+    return {
+      type,
+      count: _.get(action, 'count', 0),
+      reacted: !!_.get(action, 'acted'),
+    };
+  });
+}
+
+/**
+ * Summarizes the edits of a post, discourse posts start at version 1 and each revision increments it
+ * @param {Object} post discourse post
+ * @return {Object} whether the post was edited, when it was last edited and its number of revisions
+ */
+function convertEdits(post) {
+  const revisionCount = Math.max((post.version || 1) - 1, 0);
+  return {
+    edited: revisionCount > 0,
+    editedAt: revisionCount > 0 ? post.updated_at : null,
+    revisionCount,
+  };
+}
+
+/**
+ * Sets the id of the post each post replies to, when that post is one of the given posts
+ * @param {Array} posts adapted posts
+ * @return {Array} the posts
+ */
+function resolveReplies(posts) {
+  const postIdsByNumber = _.fromPairs(_.map(posts, post => [post.postNumber, post.id]));
+  _.each(posts, (post) => {
+    if (post.type === 'post') {
+      post.replyToPostId = postIdsByNumber[post.replyToPostNumber] || null; // eslint-disable-line
+    }
+  });
+  return posts;
+}
+
+/**
+ * Removes the markup discourse renders for the attachments of a post, as they are returned separately
+ * @param {String} body cooked body of the post
+ * @param {Array} attachments attachments of the post
+ * @return {String} the body without the attachments
+ */
+function stripAttachments(body, attachments) {
+  if (!body || attachments.length === 0) {
+    return body;
+  }
+  let stripped = body;
+  _.each(attachments, (attachment) => {
+    const url = _.escapeRegExp(attachment.url);
+    stripped = stripped
+      // images, wrapped in a lightbox when they are large
+      .replace(new RegExp(`<div class="lightbox-wrapper"><a[^>]*href="${url}"[^>]*>[\\s\\S]*?</a></div>`, 'g'), '')
+      .replace(new RegExp(`<img[^>]*src="${url}"[^>]*>`, 'g'), '')
+      // other files, followed by their size
+      .replace(new RegExp(`<a class="attachment" href="${url}">[^<]*</a>( \\([^)]*\\))?`, 'g'), '');
+  });
+  return stripped.replace(/<p>\s*<\/p>/g, '').trim();
+}
+
+/**
+ * Removes the markdown referencing the attachments of a post, as they are returned separately
+ * @param {String} raw raw markdown of the post
+ * @param {Array} attachments attachments of the post
+ * @return {String} the markdown without the attachments
+ */
+function stripRawAttachments(raw, attachments) {
+  if (!raw || attachments.length === 0) {
+    return raw;
+  }
+  let stripped = raw;
+  _.each(attachments, (attachment) => {
+    stripped = stripped.replace(new RegExp(`!?\\[[^\\]]*\\]\\(${_.escapeRegExp(attachment.url)}\\)`, 'g'), '');
+  });
+  return stripped.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Converts the cooked html of a post to plain text, keeping its paragraphs and line breaks
+ * @param {String} html cooked html
+ * @return {String} plain text
+ */
+function htmlToText(html) {
+  const text = (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|pre|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ');
+  return _.unescape(text)
+    .split('\n')
+    .map(_.trim)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
 function Adapter(logger, db) {
   const helper = Helper(logger);
 
@@ -33,32 +142,115 @@ function Adapter(logger, db) {
     });
   };
 
-  function convertPost(input) {
+  /**
+   * Adds their attachments to posts, and removes the attachments from the posts bodies
+   * @param {Array} posts adapted posts
+   * @return {Promise} promise resolving the posts
+   */
+  function addAttachments(posts) {
+    const postIds = _.map(_.filter(posts, { type: 'post' }), 'id');
+    if (postIds.length === 0) {
+      return Promise.resolve(posts);
+    }
+    return db.attachments.findAll({ where: { postId: { $in: postIds } }, order: [['id', 'ASC']], raw: true })
+      .then((attachments) => {
+        const attachmentsByPost = _.groupBy(attachments, 'postId');
+        _.each(_.filter(posts, { type: 'post' }), (post) => {
+          const postAttachments = attachmentsByPost[post.id] || [];
+          /* eslint-disable no-param-reassign */
+          post.attachments = _.map(postAttachments,
+            attachment => _.pick(attachment, ['id', 'url', 'fileName', 'fileSize', 'contentType']));
+          post.bodies.html = stripAttachments(post.bodies.html, postAttachments);
+          post.bodies.raw = stripRawAttachments(post.bodies.raw, postAttachments);
+          /* eslint-enable no-param-reassign */
+        });
+        return posts;
+      });
+  }
+
+  /**
+   * Sets the body of posts in the requested format, along with their bodies in the other requested formats.
+   * Text bodies are converted from the html ones, and the bodies of user-joined posts are already plain text.
+   * @param {Array} posts adapted posts, with their html body and their raw body if it was requested
+   * @param {Object} options body format options
+   * @return {Array} the posts
+   */
+  function formatBodies(posts, options) {
+    _.each(posts, (post) => {
+      const bodies = post.type === 'post' ?
+        _.assign({}, post.bodies, { text: htmlToText(post.bodies.html) }) :
+        _.fromPairs(_.map(POST_BODY_FORMAT, format => [format, post.body]));
+      /* eslint-disable no-param-reassign */
+      post.body = bodies[options.format];
+      if (options.bodies) {
+        post.bodies = _.pick(bodies, options.bodies);
+      } else {
+        delete post.bodies;
+      }
+      /* eslint-enable no-param-reassign */
+    });
+    return posts;
+  }
+
+  /**
+   * Adds their attachments to posts and formats their bodies
+   * @param {Array} posts adapted posts
+   * @param {Object} options body format options
+   * @return {Promise} promise resolving the posts
+   */
+  function completePosts(posts, options) {
+    return addAttachments(posts).then(() => formatBodies(posts, options));
+  }
+
+  /**
+   * Converts the bodies of a discourse post, mentions of userIds are converted to handles
+   * @param {Object} discoursePost discourse post
+   * @param {Object} options body format options
+   * @return {Promise} promise resolving the html body, and the raw body if it is needed
+   */
+  function convertBodies(discoursePost, options) {
+    return Promise.all([
+      helper.mentionUserIdToHandle(discoursePost.cooked),
+      options.includeRaw ? helper.rawMentionUserIdToHandle(discoursePost.raw || '') : undefined,
+    ]).then(([html, raw]) => _.omitBy({ html, raw }, _.isUndefined));
+  }
+
+  function convertPost(input, options) {
     let userId = input.username;
     userId = userId !== 'system' && userId !== DISCOURSE_SYSTEM_USERNAME ? parseInt(userId, 10) : userId;
-    return helper.mentionUserIdToHandle(input.cooked)
-      .then(postBody => ({
+    return convertBodies(input, options)
+      .then(bodies => _.assign({
         id: input.id,
+        postNumber: input.post_number,
         date: input.created_at,
         userId,
         read: true,
-        body: postBody,
+        body: bodies.html,
+        bodies,
         type: 'post',
-      }));
+        reactions: convertReactions(input.actions_summary),
+        replyToPostNumber: input.reply_to_post_number || null,
+        replyToPostId: null,
+        replyCount: input.reply_count || 0,
+      }, convertEdits(input)));
   }
 
-  this.adaptPosts = function a(input) {
+  this.adaptPosts = function a(input, bodyOptions) {
+    const options = _.assign({}, DEFAULT_BODY_OPTIONS, bodyOptions);
     const result = [];
 
     return Promise.each(input.post_stream.posts,
-      post => convertPost(post).then(cpost => result.push(cpost))).then(() => result);
+      post => convertPost(post, options).then(cpost => result.push(cpost)))
+      .then(() => completePosts(resolveReplies(result), options));
   };
 
-  this.adaptPost = function a(input) {
-    return convertPost(input);
+  this.adaptPost = function a(input, bodyOptions) {
+    const options = _.assign({}, DEFAULT_BODY_OPTIONS, bodyOptions);
+    return convertPost(input, options).then(post => completePosts([post], options)).then(posts => posts[0]);
   };
 
-  this.adaptTopics = function a(input) {
+  this.adaptTopics = function a(input, bodyOptions) {
+    const options = _.assign({}, DEFAULT_BODY_OPTIONS, bodyOptions);
     const topics = [];
     let discourseTopics = input;
     if (!(discourseTopics instanceof Array)) {
@@ -72,6 +264,12 @@ function Adapter(logger, db) {
         where: {
           discourseTopicId: discourseTopic.id,
         },
+        include: [{ model: db.topicTags, as: 'tags' }, { model: db.topicLinks, as: 'links' }],
+        order: [
+          [{ model: db.topicTags, as: 'tags' }, 'id', 'ASC'],
+          [{ model: db.topicLinks, as: 'links' }, 'id', 'ASC'],
+        ],
+        paranoid: false,
       }).then((pgTopic) => {
         const topic = {
           id: discourseTopic.id,
@@ -84,6 +282,16 @@ function Adapter(logger, db) {
           read: discourseTopic.post_stream.posts[0].read,
           userId,
           tag: discourseTopic.tag,
+          tags: pgTopic ? _.map(pgTopic.tags, 'tag') : _.compact([discourseTopic.tag]),
+          metadata: pgTopic && pgTopic.metadata ? pgTopic.metadata : {},
+          links: pgTopic ? _.map(pgTopic.links, link => _.pick(link, ['reference', 'referenceId'])) : [],
+          isPublic: pgTopic ? pgTopic.isPublic : false,
+          closed: pgTopic ? pgTopic.closed : !!discourseTopic.closed,
+          archived: pgTopic ? pgTopic.archived : !!discourseTopic.archived,
+          pinned: pgTopic ? pgTopic.pinned : false,
+          sortOrder: pgTopic ? pgTopic.sortOrder : null,
+          deletedAt: pgTopic ? pgTopic.deletedAt : null,
+          notificationLevel: DISCOURSE_NOTIFICATION_LEVELS[_.get(discourseTopic, 'details.notification_level')],
           totalPosts: discourseTopic.post_stream.stream.length,
           retrievedPosts: discourseTopic.post_stream.posts.length,
           postIds: discourseTopic.post_stream.stream,
@@ -100,37 +308,32 @@ function Adapter(logger, db) {
         }).then((result) => {
         // logger.debug('result', result)
           if (result.discourseTopic.post_stream && result.discourseTopic.post_stream.posts) {
-            return Promise.each(result.discourseTopic.post_stream.posts,
-              discoursePost => helper.mentionUserIdToHandle(discoursePost.cooked)
-              .then((postBody) => {
+            return Promise.each(result.discourseTopic.post_stream.posts, (discoursePost) => {
+              // ignore createdAt for invited_user type posts
+              if (discoursePost.action_code !== 'invited_user'
+                && discoursePost.created_at > result.topic.lastActivityAt) {
+                result.topic.lastActivityAt = discoursePost.created_at; //eslint-disable-line
+              }
+              if (discoursePost.action_code === 'invited_user' && discoursePost.action_code_who) {
                 let userId = discoursePost.username; //eslint-disable-line
                 userId = userId !== 'system' && userId !== DISCOURSE_SYSTEM_USERNAME ? parseInt(userId, 10) : userId;
-                // ignore createdAt for invited_user type posts
-                if (discoursePost.action_code !== 'invited_user'
-                  && discoursePost.created_at > result.topic.lastActivityAt) {
-                  result.topic.lastActivityAt = discoursePost.created_at; //eslint-disable-line
-                }
-                if (discoursePost.action_code === 'invited_user' && discoursePost.action_code_who) {
-                  result.topic.retrievedPosts -= 1; // eslint-disable-line
-                  result.topic.posts.push({
-                    id: discoursePost.id,
-                    date: discoursePost.created_at,
-                    userId,
-                    read: true,
-                    body: `${discoursePost.action_code_who} joined the discussion`,
-                    type: 'user-joined',
-                  });
-                } else {
-                  result.topic.posts.push({
-                    id: discoursePost.id,
-                    date: discoursePost.created_at,
-                    userId,
-                    read: discoursePost.read,
-                    body: postBody,
-                    type: 'post',
-                  });
-                }
-              })).then(() => result);
+                result.topic.retrievedPosts -= 1; // eslint-disable-line
+                result.topic.posts.push({
+                  id: discoursePost.id,
+                  postNumber: discoursePost.post_number,
+                  date: discoursePost.created_at,
+                  userId,
+                  read: true,
+                  body: `${discoursePost.action_code_who} joined the discussion`,
+                  type: 'user-joined',
+                });
+                return null;
+              }
+              // posts of topics are read or not by the current user
+              return convertPost(discoursePost, options)
+                .then(post => result.topic.posts.push(_.assign(post, { read: discoursePost.read })));
+            }).then(() => completePosts(resolveReplies(result.topic.posts), options))
+              .then(() => result);
           }
           return result;
         })
@@ -141,6 +344,58 @@ function Adapter(logger, db) {
     }).then(() => topics);
   };
 
+  /**
+   * Converts discourse search results to search hits, dropping the posts of topics that are not in the given list
+   * @param {Object} searchResult discourse search result, with posts and topics
+   * @param {Array} pgTopics topics from Postgres the hits should belong to
+   * @return {Promise} promise resolving the list of hits
+   */
+  this.adaptSearchResults = function a(searchResult, pgTopics) {
+    const pgTopicsById = _.keyBy(pgTopics, pgTopic => pgTopic.discourseTopicId.toString());
+    const discourseTopicsById = _.keyBy(searchResult.topics, 'id');
+    return Promise.resolve(_.chain(searchResult.posts)
+      .filter(post => pgTopicsById[post.topic_id])
+      .map((post) => {
+        const pgTopic = pgTopicsById[post.topic_id];
+        let userId = post.username;
+        userId = userId !== 'system' && userId !== DISCOURSE_SYSTEM_USERNAME ? parseInt(userId, 10) : userId;
+        return {
+          topicId: post.topic_id,
+          reference: pgTopic.reference,
+          referenceId: pgTopic.referenceId,
+          tag: pgTopic.tag,
+          title: _.get(discourseTopicsById[post.topic_id], 'title'),
+          postId: post.id,
+          postNumber: post.post_number,
+          date: post.created_at,
+          userId,
+          snippet: post.blurb,
+        };
+      })
+      .value());
+  };
+
+  /**
+   * Converts the revisions of a discourse post
+   * @param {Array} revisions discourse post revisions, from the oldest to the newest
+   * @return {Promise} promise resolving the list of revisions with their editor, date and diff
+   */
+  this.adaptPostRevisions = function a(revisions) {
+    return Promise.resolve(_.map(revisions, (revision) => {
+      let userId = revision.username;
+      userId = userId !== 'system' && userId !== DISCOURSE_SYSTEM_USERNAME ? parseInt(userId, 10) : userId;
+      return {
+        revision: revision.current_revision,
+        postId: revision.post_id,
+        date: revision.created_at,
+        userId,
+        editReason: revision.edit_reason || null,
+        diff: _.get(revision, 'body_changes.inline', null),
+        titleDiff: _.get(revision, 'title_changes.inline', null),
+      };
+    }));
+  };
+
   return this;
 }
 
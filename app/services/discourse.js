@@ -2,8 +2,10 @@
 const Promise = require('bluebird');
 const config = require('config');
 const axios = require('axios');
+const FormData = require('form-data');
 const _ = require('lodash');
 const util = require('../util');
+const { DISCOURSE_NOTIFICATION_LEVELS } = require('../constants');
 
 
 const DISCOURSE_SYSTEM_USERNAME = config.get('discourseSystemUsername');
@@ -98,18 +100,44 @@ module.exports = (logger) => {
       });
   }
 
+  /**
+   * Creates a public topic in discourse
+   * @param {String} title the title of the topic
+   * @param {Object} post the body of the first post, html markup is allowed
+   * @param {Number} categoryId the id of the category of the topic
+   * @param {String} owner user who created the topic
+   * @return {Promise} new post promise
+   */
+  function createPublicTopic(title, post, categoryId, owner) {
+    return getClient().post('/posts', {
+      category: categoryId,
+      title,
+      raw: post,
+    }, {
+      params: {
+        api_username: owner && !util.isDiscourseAdmin(owner) ? owner : DISCOURSE_SYSTEM_USERNAME,
+      },
+    })
+      .catch((err) => {
+        logger.error('Error creating public topic');
+        logger.error(err);
+        return Promise.reject(err);
+      });
+  }
+
   /**
    * Gets a topic in Discourse
    * @param {String} topicId the id of the topic
    * @param {String} username the username to use to fetch the topic, for security purposes
+   * @param {Boolean} includeRaw true to include the raw markdown of the posts
    * @return {Promise} get topic promise
    */
-  function getTopic(topicId, username) {
+  function getTopic(topicId, username, includeRaw) {
     logger.debug(`Retrieving topic# ${topicId} for user: ${username}`);
     return getClient().get(`/t/${topicId}.json`, {
-      params: {
+      params: _.assign({
         api_username: util.isDiscourseAdmin(username) ? DISCOURSE_SYSTEM_USERNAME : username,
-      },
+      }, includeRaw ? { include_raw: true } : {}),
     })
     .then(response => response.data);
   }
@@ -130,6 +158,23 @@ module.exports = (logger) => {
     });
   }
 
+  /**
+   * Changes a status of a topic, such as closed or archived
+   * @param {String} username user changing the status
+   * @param {Number} topicId topic id
+   * @param {String} status the status to change: closed or archived
+   * @param {Boolean} enabled whether the status should be set or cleared
+   * @return {Promise} promise
+   */
+  function updateTopicStatus(username, topicId, status, enabled) {
+    logger.debug(`Update status ${status} of topic# ${topicId} to ${enabled} for user: ${username}`);
+    return getClient().put(`/t/${topicId}/status`, { status, enabled }, {
+      params: {
+        api_username: util.isDiscourseAdmin(username) ? DISCOURSE_SYSTEM_USERNAME : username,
+      },
+    });
+  }
+
   /**
    * Delete a post (reply) of a topic
    * @param {String} username user deleting the topic
@@ -184,9 +229,10 @@ module.exports = (logger) => {
    * @param {String} username: the name of the user to use to access the Discourse API
    * @param {Number} topicId the id of the topic that is parent to the posts
    * @param {Array} postIds array containing the list of posts that should be retrieved
+   * @param {Boolean} includeRaw true to include the raw markdown of the posts
    * @return {Promise} promise
    */
-  function getPosts(username, topicId, postIds) {
+  function getPosts(username, topicId, postIds, includeRaw) {
     logger.debug('Attempting to retrieve posts', postIds);
     let postIdsFilter = '';
     let separator = '';
@@ -196,10 +242,63 @@ module.exports = (logger) => {
     });
 
     return getClient().get(`/t/${topicId}/posts.json?${postIdsFilter}`, {
+      params: _.assign({
+        api_username: util.isDiscourseAdmin(username) ? DISCOURSE_SYSTEM_USERNAME : username,
+      }, includeRaw ? { include_raw: true } : {}),
+    });
+  }
+
+  /**
+   * Fetches a chunk of the posts of a topic around a post number, discourse returns up to the chunk size
+   * of the topic (20 by default) posts, in the order of their post numbers
+   * @param {String} username the name of the user to use to access the Discourse API
+   * @param {Number} topicId the id of the topic that is parent to the posts
+   * @param {Number} postNumber the post number the chunk starts after, or ends before
+   * @param {Boolean} asc true to fetch the posts after the post number, false for the posts before it
+   * @param {Boolean} includeRaw true to include the raw markdown of the posts
+   * @return {Promise} promise resolving the topic posts
+   */
+  function getTopicPosts(username, topicId, postNumber, asc, includeRaw) {
+    logger.debug(`Retrieving posts of topic# ${topicId} ${asc ? 'after' : 'before'} post number ${postNumber}`);
+    return getClient().get(`/t/${topicId}/posts.json`, {
+      params: _.assign({
+        post_number: postNumber,
+        asc,
+        api_username: util.isDiscourseAdmin(username) ? DISCOURSE_SYSTEM_USERNAME : username,
+      }, includeRaw ? { include_raw: true } : {}),
+    })
+    .then(response => response.data);
+  }
+
+  /**
+   * Fetches a post from discourse
+   * @param {String} username the name of the user to use to access the Discourse API
+   * @param {Number} postId post id
+   * @return {Promise} promise resolving the post
+   */
+  function getPost(username, postId) {
+    return getClient().get(`/posts/${postId}.json`, {
       params: {
         api_username: util.isDiscourseAdmin(username) ? DISCOURSE_SYSTEM_USERNAME : username,
       },
-    });
+    })
+    .then(response => response.data);
+  }
+
+  /**
+   * Fetches a revision of a post from discourse, the first revision of an edited post is 2
+   * @param {String} username the name of the user to use to access the Discourse API
+   * @param {Number} postId post id
+   * @param {Number} revision the revision number
+   * @return {Promise} promise resolving the revision, with the diff of the body and the title
+   */
+  function getPostRevision(username, postId, revision) {
+    return getClient().get(`/posts/${postId}/revisions/${revision}.json`, {
+      params: {
+        api_username: util.isDiscourseAdmin(username) ? DISCOURSE_SYSTEM_USERNAME : username,
+      },
+    })
+    .then(response => response.data);
   }
 
   /**
@@ -231,6 +330,97 @@ module.exports = (logger) => {
     });
   }
 
+  /**
+   * Acts on a post for a user, e.g. likes it
+   * @param {String} username the name of the user acting on the post
+   * @param {Number} postId post id
+   * @param {Number} actionTypeId id of the discourse post action type, one of DISCOURSE_POST_ACTION_TYPES
+   * @return {Promise} promise resolving the updated post
+   */
+  function addPostAction(username, postId, actionTypeId) {
+    return getClient().post('/post_actions', {
+      id: postId,
+      post_action_type_id: actionTypeId,
+    }, {
+      params: {
+        api_username: username,
+      },
+    })
+    .then(response => response.data);
+  }
+
+  /**
+   * Undoes the action of a user on a post, e.g. unlikes it
+   * @param {String} username the name of the user who acted on the post
+   * @param {Number} postId post id
+   * @param {Number} actionTypeId id of the discourse post action type, one of DISCOURSE_POST_ACTION_TYPES
+   * @return {Promise} promise resolving the updated post
+   */
+  function removePostAction(username, postId, actionTypeId) {
+    return getClient().delete(`/post_actions/${postId}`, {
+      params: {
+        post_action_type_id: actionTypeId,
+        api_username: username,
+      },
+    })
+    .then(response => response.data);
+  }
+
+  /**
+   * Uploads a file to discourse, to be referenced by the raw of a post
+   * @param {String} username the name of the user uploading the file
+   * @param {Object} file the file, with its buffer, originalname and mimetype
+   * @return {Promise} promise resolving the upload, with its id and url
+   */
+  function uploadFile(username, file) {
+    const form = new FormData();
+    form.append('type', 'composer');
+    form.append('synchronous', 'true');
+    form.append('file', file.buffer, { filename: file.originalname, contentType: file.mimetype });
+    return getClient().post('/uploads.json', form, {
+      headers: form.getHeaders(),
+      params: {
+        api_username: username,
+      },
+    })
+    .then(response => response.data);
+  }
+
+  /**
+   * Sets the notification level of a user on a topic
+   * @param {String} username the name of the user
+   * @param {Number} topicId the id of the topic
+   * @param {String} level one of NOTIFICATION_LEVEL
+   * @return {Promise} promise
+   */
+  function setNotificationLevel(username, topicId, level) {
+    return getClient().post(`/t/${topicId}/notifications`, {
+      notification_level: DISCOURSE_NOTIFICATION_LEVELS.indexOf(level),
+    }, {
+      params: {
+        api_username: username,
+      },
+    });
+  }
+
+  /**
+   * Searches the topics and posts the user has access to
+   * @param {String} username the name of the user searching
+   * @param {String} term search term, including discourse advanced search filters
+   * @param {Number} page page of the results, from 1
+   * @return {Promise} promise resolving the matching posts and their topics
+   */
+  function search(username, term, page) {
+    return getClient().get('/search.json', {
+      params: _.assign({
+        q: term,
+        include_blurbs: true,
+        api_username: util.isDiscourseAdmin(username) ? DISCOURSE_SYSTEM_USERNAME : username,
+      }, page > 1 ? { page } : {}),
+    })
+    .then(response => response.data);
+  }
+
   /**
    * Marks a topic and posts are read in discourse
    * @param {String} username the name of the user who read the topic
@@ -250,6 +440,20 @@ module.exports = (logger) => {
     });
   }
 
+  /**
+   * Marks all the posts of a topic as unread in discourse, by removing the read timings of the user
+   * @param {String} username the name of the user who should see the topic as unread
+   * @param {Number} topicId the id of the topic
+   * @return {Promise} promise
+   */
+  function markTopicUnread(username, topicId) {
+    return getClient().delete(`/t/${topicId}/timings`, {
+      params: {
+        api_username: username,
+      },
+    });
+  }
+
   /**
    * Changes trust level of existing user
    * @param {String} userId user's discourse user_id
@@ -286,12 +490,23 @@ module.exports = (logger) => {
     removeAccess,
     getTopic,
     updateTopic,
+    updateTopicStatus,
     deleteTopic,
     createPost,
     updatePost,
     deletePost,
     createPrivatePost,
+    createPublicTopic,
     getPosts,
+    getTopicPosts,
+    getPost,
+    getPostRevision,
     markTopicPostsRead,
+    markTopicUnread,
+    search,
+    setNotificationLevel,
+    uploadFile,
+    addPostAction,
+    removePostAction,
   };
 };
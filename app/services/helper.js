@@ -7,6 +7,7 @@ const axios = require('axios');
 const errors = require('common-errors');
 const util = require('../util');
 const Promise = require('bluebird');
+const { USER_ROLE } = require('../constants');
 
 /**
  * Returns helper service containing common functions used in route handlers
@@ -113,6 +114,71 @@ module.exports = (logger, db, _discourseClient = null) => {
     });
   }
 
+  /**
+   * Verifies if a user has access to at least one of the entities a topic is linked to,
+   * the entities are checked in order with userHasAccessToEntity until one is accessible
+   * @param {String} authToken user's auth token to use to call the api
+   * @param {String} requestId request identifier
+   * @param {Array} links list of the { reference, referenceId } of the entities
+   * @return {Promise} promise resolving [hasAccess, entity] for the first accessible entity
+   */
+  function userHasAccessToAnyEntity(authToken, requestId, links) {
+    return Promise.reduce(links, (hasAccessResp, link) => (hasAccessResp[0] ? hasAccessResp :
+      this.userHasAccessToEntity(authToken, requestId, link.reference, link.referenceId)), [false, null]);
+  }
+
+  /**
+   * Lists the members of the entities a topic is linked to, who get access to the topic through them.
+   * The entities are fetched with the system user token, as the members of every linked entity are needed
+   * whatever the access of the current user. Entities without members grant no access to other users.
+   * @param {String} requestId request identifier
+   * @param {Array} links list of the { reference, referenceId } of the entities
+   * @return {Promise} promise resolving the unique ids of the members
+   */
+  function getLinkedMembers(requestId, links) {
+    if (_.isEmpty(links)) {
+      return Promise.resolve([]);
+    }
+    return util.getSystemUserToken(logger)
+      .then(token => Promise.mapSeries(links,
+        link => this.userHasAccessToEntity(token, requestId, link.reference, link.referenceId)))
+      .then(responses => _(responses)
+        .flatMap(hasAccessResp => _.get(hasAccessResp[1], 'members', []))
+        .map(member => member.userId.toString())
+        .uniq()
+        .value());
+  }
+
+  /**
+   * Verifies if a user can create public topics, and posts in them, for an entity.
+   * The rule of each reference is configured in publicTopics.writeAccess: with 'all' any user can write,
+   * with 'members' only the users who have access to the entity. References without a rule are open to
+   * all users, unless they have an entry in the referenceLookup table. Admins can always write.
+   * @param {String} authToken user's auth token to use to call the api
+   * @param {String} requestId request identifier
+   * @param {Object} authUser the current user
+   * @param {String} reference name of the reference, used to find the endpoint in the referenceLookupTable
+   * @param {String} referenceId identifier of the reference record
+   * @return {Promise} promise resolving whether the user can write
+   */
+  function userCanWriteToPublicTopics(authToken, requestId, authUser, reference, referenceId) {
+    if (_.includes(authUser.roles, USER_ROLE.TOPCODER_ADMIN)) {
+      return Promise.resolve(true);
+    }
+    const rule = _.get(config.get('publicTopics.writeAccess'), reference);
+    if (rule === 'all') {
+      return Promise.resolve(true);
+    }
+    return db.referenceLookups.findOne({ where: { reference } })
+      .then((referenceLookup) => {
+        if (!referenceLookup && !rule) {
+          return true;
+        }
+        return this.userHasAccessToEntity(authToken, requestId, reference, referenceId)
+          .then(hasAccessResp => hasAccessResp[0]);
+      });
+  }
+
   /**
    * Get user from discourse provision a user in Discourse if one doesn't exist
    * @param {String} userId userId of the user to fetch
@@ -197,14 +263,11 @@ module.exports = (logger, db, _discourseClient = null) => {
   }
 
   /**
-   * Returns converts mentions from discourse @userId to @handles
-   * match: converted string
+   * Looks up the handles of the users mentioned by their userIds
+   * @param {Array} userIds mentioned userIds
+   * @return {Promise} promise resolving the handles by userId, of the users that were found
    */
-
-  function mentionUserIdToHandle(post) {
-    const userIdRex = />(@[^\<]+)/g; // eslint-disable-line
-    const htmlRex = /s\/([^\"]+)/g; // eslint-disable-line
-    const userIds = _.map(post.match(userIdRex), getContentFromMatch);
+  function lookupMentionedHandles(userIds) {
     const handleMap = {};
     return Promise.each(userIds, userId => this.lookupUserFromId(userId).then((data) => {
       const handle = data.handle;
@@ -215,7 +278,19 @@ module.exports = (logger, db, _discourseClient = null) => {
       }
     }).catch(() => {
       logger.info(`not valid mention ${userId}`);
-    })).then(() => post.replace(userIdRex, (match) => {
+    })).then(() => handleMap);
+  }
+
+  /**
+   * Returns converts mentions from discourse @userId to @handles
+   * match: converted string
+   */
+
+  function mentionUserIdToHandle(post) {
+    const userIdRex = />(@[^\<]+)/g; // eslint-disable-line
+    const htmlRex = /s\/([^\"]+)/g; // eslint-disable-line
+    const userIds = _.map(post.match(userIdRex), getContentFromMatch);
+    return lookupMentionedHandles.call(this, userIds).then(handleMap => post.replace(userIdRex, (match) => {
       const handle = handleMap[getContentFromMatch(match)];
       if (handle) {
         return `>@${handle}`;
@@ -230,14 +305,32 @@ module.exports = (logger, db, _discourseClient = null) => {
     }));
   }
 
+  /**
+   * Converts the @userId mentions of the raw markdown of a post to @handles
+   * @param {String} raw raw markdown of the post
+   * @return {Promise} promise resolving the converted markdown
+   */
+  function rawMentionUserIdToHandle(raw) {
+    const userIdRex = /\B@(\d+)\b/g;
+    const userIds = _.map(raw.match(userIdRex), match => match.slice(1));
+    return lookupMentionedHandles.call(this, userIds).then(handleMap => raw.replace(userIdRex, (match, userId) => {
+      const handle = handleMap[userId];
+      return handle ? `@${handle}` : match;
+    }));
+  }
+
   return {
     getTopcoderUser,
     lookupUserHandles,
     lookupUserFromId,
     userHasAccessToEntity,
+    userHasAccessToAnyEntity,
+    getLinkedMembers,
+    userCanWriteToPublicTopics,
     getUserOrProvision,
     checkAccessAndProvision,
     getContentFromMatch,
     mentionUserIdToHandle,
+    rawMentionUserIdToHandle,
   };
 };
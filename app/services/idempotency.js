@@ -0,0 +1,21 @@
+const Promise = require('bluebird');
+
+/**
+ * Records the response of a request that reserved an Idempotency-Key,
+ * so that repeated requests with the same key replay it
+ * @param {Object} req express request
+ * @param {Number} resourceId the id of the created resource
+ * @param {Object} response the response content
+ * @param {Number} statusCode the status code of the response, 202 for asynchronous creations
+ * @return {Promise} promise
+ */
+function complete(req, resourceId, response, statusCode = 200) {
+  if (!req.idempotencyKey) {
+    return Promise.resolve();
+  }
+  return req.idempotencyKey.update({ resourceId, response, statusCode });
+}
+
+module.exports = {
+  complete,
+};
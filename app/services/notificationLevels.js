@@ -0,0 +1,62 @@
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+/**
+ * Stores the notification level of a user, on a topic or by default for the topics of a reference.
+ * The level of a topic is kept for the user whatever the reference the topic is moved to.
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Object} values userId, reference, referenceId and topicId (null for the reference default)
+ * @param {String} level one of NOTIFICATION_LEVEL
+ * @return {Promise} promise
+ */
+function save(db, values, level) {
+  const where = values.topicId ? _.pick(values, ['userId', 'topicId']) : values;
+  return db.notificationLevels.findOne({ where })
+    .then((record) => {
+      if (record) {
+        return record.update(_.assign({ level }, values));
+      }
+      return db.notificationLevels.create(_.assign({ level }, values));
+    });
+}
+
+/**
+ * Sets in Discourse the default notification levels users chose for the references a topic is linked to.
+ * The default of the own reference of the topic prevails over the ones of its other links, and the users
+ * who chose a level for the topic itself keep it.
+ * @param {Object} logger logger
+ * @param {Object} db sequelize db with all models loaded
+ * @param {Object} discourseClient client to invoke calls to discourse
+ * @param {Object} dbTopic the new, moved or linked topic
+ * @return {Promise} promise, failures are only logged
+ */
+function applyReferenceDefaults(logger, db, discourseClient, dbTopic) {
+  return Promise.all([
+    db.topicLinks.findAll({ where: { topicId: dbTopic.id }, order: [['id', 'ASC']], raw: true }),
+    db.notificationLevels.findAll({ where: { topicId: dbTopic.id }, raw: true }),
+  ])
+  .then(([links, topicLevels]) => {
+    const references = _.uniqWith([{ reference: dbTopic.reference, referenceId: dbTopic.referenceId }]
+      .concat(_.map(links, link => _.pick(link, ['reference', 'referenceId']))), _.isEqual);
+    const usersWithLevel = _.map(topicLevels, 'userId');
+    return db.notificationLevels.findAll({ where: { topicId: null, $or: references }, raw: true })
+      .then(defaults => _.chain(defaults)
+        .reject(defaultLevel => _.includes(usersWithLevel, defaultLevel.userId))
+        .sortBy(defaultLevel => _.findIndex(references, _.pick(defaultLevel, ['reference', 'referenceId'])))
+        .uniqBy('userId')
+        .value());
+  })
+  .then(defaults => Promise.all(_.map(defaults, defaultLevel => discourseClient
+    .setNotificationLevel(defaultLevel.userId, dbTopic.discourseTopicId, defaultLevel.level)
+    .catch((error) => {
+      logger.error(`Failed to set notification level of user ${defaultLevel.userId}`, error.message);
+    }))))
+  .catch((error) => {
+    logger.error('Failed to apply default notification levels', error);
+  });
+}
+
+module.exports = {
+  save,
+  applyReferenceDefaults,
+};
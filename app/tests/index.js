@@ -17,11 +17,28 @@ function clearDBPromise() {
   return models.sequelize.sync()
     .then(() => models.topics.truncate({
       cascade: true,
+      force: true,
       logging: false,
     }))
     .then(() => models.referenceLookups.truncate({
       cascade: true,
       logging: false,
+    }))
+    .then(() => models.idempotencyKeys.truncate({
+      cascade: true,
+      logging: false,
+    }))
+    .then(() => models.topicJobs.truncate({
+      cascade: true,
+      logging: false,
+    }))
+    .then(() => models.notificationLevels.truncate({
+      cascade: true,
+      logging: false,
+    }))
+    .then(() => models.topicTemplates.truncate({
+      cascade: true,
+      logging: false,
     }));
 }
 
@@ -30,6 +47,26 @@ function clearDB(done) {
     .then(() => done());
 }
 
+// creates topics along with the topicTags of their tag and the topicLinks of their reference
+function createTopics(topics) {
+  return models.topics.bulkCreate(topics)
+    .then(() => models.topicTags.bulkCreate(topics
+      .filter(topic => topic.tag)
+      .map(topic => ({ topicId: topic.id, tag: topic.tag }))))
+    .then(() => models.topicLinks.bulkCreate(topics
+      .map(topic => ({ topicId: topic.id, reference: topic.reference, referenceId: topic.referenceId }))));
+}
+
+// polls the condition until it resolves a truthy value, to wait for the work done after a response is sent
+function waitFor(condition, retries = 50) {
+  return Promise.resolve(condition()).then((result) => {
+    if (result || retries === 0) {
+      return result;
+    }
+    return new Promise(resolve => setTimeout(resolve, 10)).then(() => waitFor(condition, retries - 1));
+  });
+}
+
 function prepareDB(done) {
   clearDBPromise()
     .then(() => {
@@ -40,7 +77,14 @@ function prepareDB(done) {
           referenceId: 'referenceId',
           discourseTopicId: 1,
           tag: 'tag',
-        }),
+        }).then(() => models.topicTags.create({
+          topicId: 1,
+          tag: 'tag',
+        })).then(() => models.topicLinks.create({
+          topicId: 1,
+          reference: 'reference',
+          referenceId: 'referenceId',
+        })),
         models.referenceLookups.create({
           id: 1,
           reference: 'reference',
@@ -53,7 +97,9 @@ function prepareDB(done) {
 }
 
 module.exports = {
+  createTopics,
   prepareDB,
   clearDB,
+  waitFor,
   jwts,
 };
@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.createTable(
+        'idempotencyKeys',
+        {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            key: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            userId: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            resource: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            fingerprint: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            resourceId: {
+                type: Sequelize.BIGINT
+            },
+            statusCode: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 200
+            },
+            response: {
+                type: Sequelize.JSON
+            },
+            createdAt: {
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                type: Sequelize.DATE
+            }
+        }
+    ).then(function () {
+        return queryInterface.addIndex('idempotencyKeys', ['userId', 'key'], { indicesType: 'UNIQUE' });
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.dropTable('idempotencyKeys');
+  }
+};
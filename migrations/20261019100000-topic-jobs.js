@@ -0,0 +1,47 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.createTable(
+        'topicJobs',
+        {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            status: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            reference: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            referenceId: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            topic: {
+                type: Sequelize.JSON
+            },
+            error: {
+                type: Sequelize.TEXT
+            },
+            createdAt: {
+                type: Sequelize.DATE
+            },
+            createdBy: {
+                type: Sequelize.STRING
+            },
+            updatedAt: {
+                type: Sequelize.DATE
+            }
+        }
+    );
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.dropTable('topicJobs');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.addColumn('topics', 'closed', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }).then(function () {
+        return queryInterface.addColumn('topics', 'archived', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        });
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.removeColumn('topics', 'closed').then(function () {
+        return queryInterface.removeColumn('topics', 'archived');
+    });
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.addColumn('topics', 'pinned', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }).then(function () {
+        return queryInterface.addColumn('topics', 'sortOrder', {
+            type: Sequelize.INTEGER,
+            allowNull: true
+        });
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.removeColumn('topics', 'pinned').then(function () {
+        return queryInterface.removeColumn('topics', 'sortOrder');
+    });
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.addColumn('topics', 'deletedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+    }).then(function () {
+        return queryInterface.addColumn('topics', 'deletedBy', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.removeColumn('topics', 'deletedAt').then(function () {
+        return queryInterface.removeColumn('topics', 'deletedBy');
+    });
+  }
+};
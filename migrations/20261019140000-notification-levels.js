@@ -0,0 +1,49 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.createTable(
+        'notificationLevels',
+        {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            userId: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            reference: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            referenceId: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            topicId: {
+                type: Sequelize.BIGINT
+            },
+            level: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                type: Sequelize.DATE
+            }
+        }
+    ).then(function () {
+        return queryInterface.addIndex('notificationLevels', ['reference', 'referenceId', 'userId']);
+    }).then(function () {
+        return queryInterface.addIndex('notificationLevels', ['userId', 'topicId'], { indicesType: 'UNIQUE' });
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.dropTable('notificationLevels');
+  }
+};
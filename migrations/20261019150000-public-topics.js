@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.addColumn('topics', 'isPublic', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.removeColumn('topics', 'isPublic');
+  }
+};
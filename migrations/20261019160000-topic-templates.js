@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.createTable(
+        'topicTemplates',
+        {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            reference: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            tag: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            title: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            body: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE
+            },
+            createdBy: {
+                type: Sequelize.STRING
+            },
+            updatedAt: {
+                type: Sequelize.DATE
+            },
+            updatedBy: {
+                type: Sequelize.STRING
+            }
+        }
+    ).then(function () {
+        return queryInterface.addIndex('topicTemplates', ['reference', 'tag'], { indicesType: 'UNIQUE' });
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.dropTable('topicTemplates');
+  }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.createTable(
+        'topicTags',
+        {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            topicId: {
+                type: Sequelize.BIGINT,
+                allowNull: false,
+                references: {
+                    model: 'topics',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            tag: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                type: Sequelize.DATE
+            }
+        }
+    ).then(function () {
+        return queryInterface.addIndex('topicTags', ['topicId', 'tag'], { indicesType: 'UNIQUE' });
+    }).then(function () {
+        return queryInterface.addIndex('topicTags', ['tag']);
+    }).then(function () {
+        // the tag of the existing topics becomes their first tag, the column is kept as their primary tag
+        return queryInterface.sequelize.query(
+            'INSERT INTO "topicTags" ("topicId", "tag", "createdAt", "updatedAt") ' +
+            'SELECT "id", "tag", NOW(), NOW() FROM "topics" WHERE "tag" IS NOT NULL AND "tag" <> \'\''
+        );
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.dropTable('topicTags');
+  }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.createTable(
+        'topicLinks',
+        {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            topicId: {
+                type: Sequelize.BIGINT,
+                allowNull: false,
+                references: {
+                    model: 'topics',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            reference: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            referenceId: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            createdAt: {
+                type: Sequelize.DATE
+            },
+            createdBy: {
+                type: Sequelize.STRING
+            },
+            updatedAt: {
+                type: Sequelize.DATE
+            }
+        }
+    ).then(function () {
+        return queryInterface.addIndex('topicLinks', ['topicId', 'reference', 'referenceId'], { indicesType: 'UNIQUE' });
+    }).then(function () {
+        return queryInterface.addIndex('topicLinks', ['reference', 'referenceId']);
+    }).then(function () {
+        // every existing topic is linked to its own reference
+        return queryInterface.sequelize.query(
+            'INSERT INTO "topicLinks" ("topicId", "reference", "referenceId", "createdAt", "createdBy", "updatedAt") ' +
+            'SELECT "id", "reference", "referenceId", NOW(), "createdBy", NOW() FROM "topics"'
+        );
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.dropTable('topicLinks');
+  }
+};
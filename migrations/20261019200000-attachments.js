@@ -0,0 +1,62 @@
+'use strict';
+
+module.exports = {
+  up: function (queryInterface, Sequelize) {
+    return queryInterface.createTable(
+        'attachments',
+        {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            topicId: {
+                type: Sequelize.BIGINT,
+                allowNull: false,
+                references: {
+                    model: 'topics',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            postId: {
+                type: Sequelize.BIGINT
+            },
+            discourseUploadId: {
+                type: Sequelize.BIGINT,
+                allowNull: false
+            },
+            url: {
+                type: Sequelize.STRING(1024),
+                allowNull: false
+            },
+            fileName: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            fileSize: {
+                type: Sequelize.INTEGER
+            },
+            contentType: {
+                type: Sequelize.STRING
+            },
+            createdAt: {
+                type: Sequelize.DATE
+            },
+            createdBy: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE
+            }
+        }
+    ).then(function () {
+        return queryInterface.addIndex('attachments', ['postId']);
+    });
+  },
+
+  down: function (queryInterface, Sequelize) {
+    return queryInterface.dropTable('attachments');
+  }
+};